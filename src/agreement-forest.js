@@ -0,0 +1,628 @@
+// agreement-forest.js - Maximum agreement forest search for exact SPR and TBR distances
+
+import { BitSet } from './bitset';
+
+// Thrown inside the search when the time budget runs out
+const TIMEOUT = { timeout: true };
+
+// How many search nodes to expand between clock checks
+const TIME_CHECK_INTERVAL = 1024;
+
+/**
+ * Binary forest over integer leaf labels, stored in typed arrays so that the
+ * branch-and-bound search can copy it cheaply at every branching step.
+ * Unrooted trees are stored rooted on an edge; the root node of each
+ * component then has degree two and is ignored when reading adjacency.
+ */
+class BinaryForest {
+    constructor(capacity, numLabels) {
+        this.parent = new Int32Array(capacity).fill(-1);
+        this.left = new Int32Array(capacity).fill(-1);
+        this.right = new Int32Array(capacity).fill(-1);
+        this.labelOfNode = new Int32Array(capacity).fill(-1);
+        this.nodeOfLabel = new Int32Array(numLabels).fill(-1);
+        this.size = 0;
+    }
+
+    /**
+     * Build a forest holding a single rooted tree from a nested
+     * {label} / {children: [a, b]} structure
+     */
+    static fromNested(nested, numLabels) {
+        const forest = new BinaryForest(2 * numLabels, numLabels);
+        const build = (node) => {
+            const id = forest.size++;
+            if (node.children) {
+                const first = build(node.children[0]);
+                const second = build(node.children[1]);
+                forest.left[id] = first;
+                forest.right[id] = second;
+                forest.parent[first] = id;
+                forest.parent[second] = id;
+            } else {
+                forest.labelOfNode[id] = node.label;
+                forest.nodeOfLabel[node.label] = id;
+            }
+            return id;
+        };
+        build(nested);
+        return forest;
+    }
+
+    clone() {
+        const copy = Object.create(BinaryForest.prototype);
+        copy.parent = this.parent.slice();
+        copy.left = this.left.slice();
+        copy.right = this.right.slice();
+        copy.labelOfNode = this.labelOfNode.slice();
+        copy.nodeOfLabel = this.nodeOfLabel.slice();
+        copy.size = this.size;
+        return copy;
+    }
+
+    isLeaf(node) {
+        return this.left[node] === -1;
+    }
+
+    sibling(node) {
+        const p = this.parent[node];
+        if (p === -1) return -1;
+        return this.left[p] === node ? this.right[p] : this.left[p];
+    }
+
+    rootOf(node) {
+        while (this.parent[node] !== -1) {
+            node = this.parent[node];
+        }
+        return node;
+    }
+
+    /**
+     * Cut the edge above a node and suppress its former parent
+     */
+    cut(node) {
+        const p = this.parent[node];
+        if (p === -1) return;
+        const s = this.sibling(node);
+        const g = this.parent[p];
+        this.parent[s] = g;
+        if (g !== -1) {
+            if (this.left[g] === p) {
+                this.left[g] = s;
+            } else {
+                this.right[g] = s;
+            }
+        }
+        this.parent[node] = -1;
+        this.parent[p] = -1;
+        this.left[p] = -1;
+        this.right[p] = -1;
+    }
+
+    /**
+     * Remove a leaf label from the forest entirely
+     */
+    removeLabel(label) {
+        const node = this.nodeOfLabel[label];
+        this.cut(node);
+        this.nodeOfLabel[label] = -1;
+        this.labelOfNode[node] = -1;
+    }
+
+    /**
+     * Replace a cherry by a single leaf carrying the label of its first child
+     */
+    contract(label1, label2) {
+        const a = this.nodeOfLabel[label1];
+        const c = this.nodeOfLabel[label2];
+        const p = this.parent[a];
+        this.left[p] = -1;
+        this.right[p] = -1;
+        this.parent[a] = -1;
+        this.parent[c] = -1;
+        this.labelOfNode[a] = -1;
+        this.labelOfNode[c] = -1;
+        this.labelOfNode[p] = label1;
+        this.nodeOfLabel[label1] = p;
+        this.nodeOfLabel[label2] = -1;
+    }
+
+    /**
+     * Whether two leaves hang off the same node once component roots are
+     * suppressed, i.e. they form a cherry of an unrooted component
+     */
+    unrootedSiblings(a, c) {
+        if (this.sibling(a) === c) return true;
+        for (const [x, y] of [[a, c], [c, a]]) {
+            const r = this.parent[x];
+            if (r !== -1 && this.parent[r] === -1 && this.parent[y] === this.sibling(x)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Contract an unrooted cherry. When one leaf is a child of the component
+     * root, the cherry spans the suppressed root and the tree is rebuilt as
+     * (rest, cherry) under the same root.
+     */
+    contractUnrooted(label1, label2) {
+        const a = this.nodeOfLabel[label1];
+        const c = this.nodeOfLabel[label2];
+        if (this.sibling(a) === c) {
+            this.contract(label1, label2);
+            return;
+        }
+
+        const [top, bottom] = this.parent[this.parent[a]] === -1 ? [a, c] : [c, a];
+        const root = this.parent[top];
+        const cherry = this.parent[bottom];
+        const rest = this.sibling(bottom);
+
+        this.left[root] = cherry;
+        this.right[root] = rest;
+        this.parent[rest] = root;
+        this.left[cherry] = -1;
+        this.right[cherry] = -1;
+        for (const node of [a, c]) {
+            this.parent[node] = -1;
+            this.labelOfNode[node] = -1;
+        }
+        this.labelOfNode[cherry] = label1;
+        this.nodeOfLabel[label1] = cherry;
+        this.nodeOfLabel[label2] = -1;
+    }
+
+    /**
+     * Roots of the subtrees hanging off the path between two nodes of the same
+     * tree. In unrooted mode the part of the component above the path also
+     * counts as a pendant subtree, represented by the top of the path.
+     */
+    pendantsBetween(a, c, unrooted) {
+        const onPathToRoot = new Set();
+        for (let x = a; x !== -1; x = this.parent[x]) {
+            onPathToRoot.add(x);
+        }
+        let lca = c;
+        while (!onPathToRoot.has(lca)) {
+            lca = this.parent[lca];
+        }
+
+        const pendants = [];
+        for (const start of [a, c]) {
+            for (let x = start; this.parent[x] !== lca && x !== lca; x = this.parent[x]) {
+                pendants.push(this.sibling(x));
+            }
+        }
+        if (unrooted && this.parent[lca] !== -1) {
+            pendants.push(lca);
+        }
+        return pendants;
+    }
+}
+
+/**
+ * State of one branch of the search: the first tree (reduced as leaves are
+ * matched) and the forest obtained by cutting edges of the second tree
+ */
+class SearchState {
+    constructor(tree, forest, numLabels, unrooted) {
+        this.tree = tree;
+        this.forest = forest;
+        this.numLabels = numLabels;
+        this.unrooted = unrooted;
+    }
+
+    clone() {
+        return new SearchState(this.tree.clone(), this.forest.clone(), this.numLabels, this.unrooted);
+    }
+
+    /**
+     * Apply the safe reductions: drop leaves that are isolated in the forest
+     * and contract sibling pairs shared by both. Returns a sibling pair of the
+     * tree that still needs a decision, or null when the forest agrees with the tree.
+     */
+    reduce() {
+        const { tree, forest } = this;
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            let remaining = 0;
+            let lastLabel = -1;
+
+            for (let label = 0; label < this.numLabels; label++) {
+                const node = tree.nodeOfLabel[label];
+                if (node === -1) continue;
+
+                const forestNode = forest.nodeOfLabel[label];
+                if (forest.parent[forestNode] === -1) {
+                    tree.removeLabel(label);
+                    forest.nodeOfLabel[label] = -1;
+                    changed = true;
+                    continue;
+                }
+                remaining++;
+                lastLabel = label;
+            }
+            // Any forest agrees with an unrooted tree on three leaves
+            if (remaining <= (this.unrooted ? 3 : 1)) {
+                return null;
+            }
+
+            for (let label = 0; label < this.numLabels; label++) {
+                const node = tree.nodeOfLabel[label];
+                if (node === -1) continue;
+                const sib = tree.sibling(node);
+                if (sib === -1 || !tree.isLeaf(sib)) continue;
+
+                const sibLabel = tree.labelOfNode[sib];
+                const a = forest.nodeOfLabel[label];
+                const c = forest.nodeOfLabel[sibLabel];
+                if (this.unrooted ? forest.unrootedSiblings(a, c) : forest.sibling(a) === c) {
+                    tree.contract(label, sibLabel);
+                    if (this.unrooted) {
+                        forest.contractUnrooted(label, sibLabel);
+                    } else {
+                        forest.contract(label, sibLabel);
+                    }
+                    changed = true;
+                }
+            }
+
+            if (!changed) {
+                return this.findSiblingPair(lastLabel);
+            }
+        }
+        return null;
+    }
+
+    findSiblingPair(hint) {
+        const { tree } = this;
+        for (let label = hint; label >= 0; label--) {
+            const node = tree.nodeOfLabel[label];
+            if (node === -1) continue;
+            const sib = tree.sibling(node);
+            if (sib !== -1 && tree.isLeaf(sib)) {
+                return [label, tree.labelOfNode[sib]];
+            }
+        }
+        for (let label = hint + 1; label < this.numLabels; label++) {
+            const node = tree.nodeOfLabel[label];
+            if (node === -1) continue;
+            const sib = tree.sibling(node);
+            if (sib !== -1 && tree.isLeaf(sib)) {
+                return [label, tree.labelOfNode[sib]];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The alternative edge sets of the forest that a maximum agreement forest
+     * may cut to resolve the sibling pair (a, c)
+     */
+    branchOptions(pair) {
+        const { forest } = this;
+        const a = forest.nodeOfLabel[pair[0]];
+        const c = forest.nodeOfLabel[pair[1]];
+
+        if (forest.rootOf(a) !== forest.rootOf(c)) {
+            return [[a], [c]];
+        }
+        const pendants = forest.pendantsBetween(a, c, this.unrooted);
+
+        if (this.unrooted) {
+            // A cherry of an unrooted component keeps exactly one pendant subtree
+            const options = [[a], [c]];
+            for (let i = 0; i < pendants.length; i++) {
+                options.push(pendants.filter((_, j) => j !== i));
+            }
+            return options;
+        }
+
+        // With a single pendant subtree, isolating a or c can always be exchanged for cutting it
+        if (pendants.length === 1) return [pendants];
+        return [[a], [c], pendants];
+    }
+}
+
+/**
+ * Greedy agreement forest, used as an upper bound on the number of cuts.
+ * The chooser picks one of the branch options at every step.
+ */
+function greedyCuts(state, choose) {
+    let cuts = 0;
+    let pair = state.reduce();
+    while (pair) {
+        const choice = choose(state.branchOptions(pair));
+        for (const node of choice) {
+            state.forest.cut(node);
+        }
+        cuts += choice.length;
+        pair = state.reduce();
+    }
+    return cuts;
+}
+
+const GREEDY_CHOOSERS = [
+    // Isolate the first leaf of the pair
+    options => options[0],
+    // Cheapest option, preferring cuts that keep the pair together
+    options => options.reduce((best, option) => option.length <= best.length ? option : best)
+];
+
+/**
+ * Depth-bounded search: can the state be resolved with at most k further cuts?
+ */
+function searchWithinBudget(state, k, clock) {
+    if (++clock.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > clock.deadline) {
+        throw TIMEOUT;
+    }
+
+    const pair = state.reduce();
+    if (!pair) return true;
+    if (k <= 0) return false;
+
+    for (const cutSet of state.branchOptions(pair)) {
+        if (cutSet.length > k) continue;
+        const next = state.clone();
+        for (const node of cutSet) {
+            next.forest.cut(node);
+        }
+        if (searchWithinBudget(next, k - cutSet.length, clock)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Minimum number of cuts turning the second tree into an agreement forest of
+ * the first, found by iterative deepening on the cut budget.
+ * @returns {{lower: number, upper: number, exact: boolean}}
+ */
+function solveAgreementForest(nested1, nested2, numLabels, clock, unrooted = false) {
+    const makeState = () => new SearchState(
+        BinaryForest.fromNested(nested1, numLabels),
+        BinaryForest.fromNested(nested2, numLabels),
+        numLabels,
+        unrooted
+    );
+
+    const upper = Math.min(...GREEDY_CHOOSERS.map(choose => greedyCuts(makeState(), choose)));
+
+    for (let k = 0; k < upper; k++) {
+        try {
+            if (searchWithinBudget(makeState(), k, clock)) {
+                return { lower: k, upper: k, exact: true };
+            }
+        } catch (e) {
+            if (e !== TIMEOUT) throw e;
+            return { lower: k, upper, exact: false };
+        }
+    }
+    return { lower: upper, upper, exact: true };
+}
+
+/**
+ * Convert a phylojs subtree to a nested binary structure with leaf labels
+ * taken from the taxon mapping. Unary nodes are suppressed.
+ */
+function toNested(node, taxonMapping, numTaxa) {
+    if (node.isLeaf()) {
+        const label = node.label || node.id.toString();
+        const index = taxonMapping.get(label);
+        if (index === undefined) {
+            throw new Error(`Taxon "${label}" not found in taxon mapping`);
+        }
+        const bits = new BitSet(numTaxa);
+        bits.set(index);
+        return { label: index, bits };
+    }
+
+    if (node.children.length === 1) {
+        return toNested(node.children[0], taxonMapping, numTaxa);
+    }
+    if (node.children.length !== 2) {
+        throw new Error('Exact SPR distance requires fully resolved (binary) trees');
+    }
+
+    const children = node.children.map(child => toNested(child, taxonMapping, numTaxa));
+    const bits = children[0].bits.clone();
+    bits.or(children[1].bits);
+    return { children, bits };
+}
+
+/**
+ * Convert a phylojs tree to a nested binary structure describing the
+ * unrooted tree, rooted on the pendant edge of the leaf with the smallest
+ * taxon index so that both trees of a pair are rooted at the same place.
+ * Degree-two nodes, including a binary root, are suppressed.
+ */
+function toUnrootedNested(tree, taxonMapping) {
+    let root = tree.root;
+    while (root.children.length === 1) {
+        root = root.children[0];
+    }
+
+    const neighbours = new Map();
+    let start = null;
+    let startIndex = Infinity;
+
+    const indexOf = (leaf) => {
+        const label = leaf.label || leaf.id.toString();
+        const index = taxonMapping.get(label);
+        if (index === undefined) {
+            throw new Error(`Taxon "${label}" not found in taxon mapping`);
+        }
+        return index;
+    };
+
+    const visit = (node) => {
+        const adjacent = node.children.slice();
+        if (node !== root) {
+            adjacent.push(node.parent);
+        }
+        neighbours.set(node, adjacent);
+        if (node.isLeaf()) {
+            const index = indexOf(node);
+            if (index < startIndex) {
+                start = node;
+                startIndex = index;
+            }
+        }
+        node.children.forEach(visit);
+    };
+    visit(root);
+
+    const build = (node, from) => {
+        if (node.isLeaf()) {
+            return { label: indexOf(node) };
+        }
+        const onward = neighbours.get(node).filter(n => n !== from);
+        if (onward.length === 1) {
+            return build(onward[0], node);
+        }
+        if (onward.length !== 2) {
+            throw new Error('Exact TBR distance requires fully resolved (binary) trees');
+        }
+        return { children: onward.map(n => build(n, node)) };
+    };
+
+    return { children: [{ label: startIndex }, build(neighbours.get(start)[0], start)] };
+}
+
+/**
+ * Relabel the leaves of a cluster subproblem to 0..m-1 and add the root leaf rho
+ */
+function prepareSubproblem(nested1, nested2) {
+    const localIndex = new Map();
+    const relabel = (node) => {
+        if (!node.children) {
+            if (!localIndex.has(node.label)) {
+                localIndex.set(node.label, localIndex.size);
+            }
+            return { label: localIndex.get(node.label) };
+        }
+        return { children: node.children.map(relabel) };
+    };
+
+    const local1 = relabel(nested1);
+    const local2 = relabel(nested2);
+    const rho = { label: localIndex.size };
+    return {
+        tree1: { children: [local1, rho] },
+        tree2: { children: [local2, rho] },
+        numLabels: localIndex.size + 1
+    };
+}
+
+/**
+ * Exact rooted SPR distance between two binary trees on the same taxa.
+ *
+ * The trees are first decomposed at their common clusters (cluster reduction,
+ * which also performs subtree reduction), and each cluster subproblem is solved
+ * as a rooted maximum agreement forest by depth-bounded branching on sibling
+ * pairs. If the time limit is hit, the result carries a proven lower bound (all
+ * smaller cut budgets were exhausted) and the upper bound of a greedy agreement forest.
+ *
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to bit index
+ * @param {Object} options - Optional settings
+ * @param {number} options.timeLimit - Milliseconds allowed before falling back to bounds (default 1000)
+ * @returns {{distance: number, lowerBound: number, upperBound: number, exact: boolean}}
+ */
+export function computeRootedSPR(tree1, tree2, taxonMapping, options = {}) {
+    const timeLimit = options.timeLimit !== undefined ? options.timeLimit : 1000;
+    const clock = { deadline: Date.now() + timeLimit, nodes: 0 };
+    const numTaxa = taxonMapping.size;
+
+    const nested1 = toNested(tree1.root, taxonMapping, numTaxa);
+    const nested2 = toNested(tree2.root, taxonMapping, numTaxa);
+
+    // Index the clusters of the second tree
+    const clusters2 = new Map();
+    const indexClusters = (node) => {
+        if (node.children) {
+            node.children.forEach(indexClusters);
+            clusters2.set(node.bits.toKey(), node);
+        }
+    };
+    indexClusters(nested2);
+
+    let lowerBound = 0;
+    let upperBound = 0;
+    let exact = true;
+
+    const solve = (sub1, sub2) => {
+        const { tree1: t1, tree2: t2, numLabels } = prepareSubproblem(sub1, sub2);
+        const result = solveAgreementForest(t1, t2, numLabels, clock);
+        lowerBound += result.lower;
+        upperBound += result.upper;
+        exact = exact && result.exact;
+    };
+
+    // Post-order over the first tree, collapsing each common cluster to a leaf once solved
+    const reduce = (node) => {
+        if (!node.children) return node;
+        node.children = node.children.map(reduce);
+
+        const match = clusters2.get(node.bits.toKey());
+        if (match && node !== nested1) {
+            solve(node, match);
+            const representative = node.bits.nextSetBit(0);
+            match.children = null;
+            match.label = representative;
+            return { label: representative, bits: node.bits };
+        }
+        return node;
+    };
+    reduce(nested1);
+    solve(nested1, nested2);
+
+    return {
+        distance: exact ? lowerBound : upperBound,
+        lowerBound,
+        upperBound,
+        exact
+    };
+}
+
+/**
+ * Exact TBR distance between two binary trees on the same taxa, ignoring
+ * their roots. The TBR distance equals the number of cuts in a maximum
+ * agreement forest of the unrooted trees; the search branches on cherries
+ * of the first tree, and a cherry that shares a component of the forest keeps
+ * exactly one of the subtrees hanging off the path between its leaves.
+ * On timeout the result carries a proven lower bound and a greedy upper bound.
+ *
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to bit index
+ * @param {Object} options - Optional settings
+ * @param {number} options.timeLimit - Milliseconds allowed before falling back to bounds (default 1000)
+ * @returns {{distance: number, lowerBound: number, upperBound: number, exact: boolean}}
+ */
+export function computeTBR(tree1, tree2, taxonMapping, options = {}) {
+    const timeLimit = options.timeLimit !== undefined ? options.timeLimit : 1000;
+    const clock = { deadline: Date.now() + timeLimit, nodes: 0 };
+
+    // Every unrooted tree on three or fewer taxa is the same
+    if (taxonMapping.size < 4) {
+        return { distance: 0, lowerBound: 0, upperBound: 0, exact: true };
+    }
+
+    const nested1 = toUnrootedNested(tree1, taxonMapping);
+    const nested2 = toUnrootedNested(tree2, taxonMapping);
+    const result = solveAgreementForest(nested1, nested2, taxonMapping.size, clock, true);
+
+    return {
+        distance: result.exact ? result.lower : result.upper,
+        lowerBound: result.lower,
+        upperBound: result.upper,
+        exact: result.exact
+    };
+}
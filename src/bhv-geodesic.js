@@ -0,0 +1,302 @@
+// bhv-geodesic.js - Geodesic distance in Billera-Holmes-Vogtmann tree space (Owen-Provan GTP algorithm)
+
+// Slack when deciding whether a vertex cover improves the path
+const COVER_TOLERANCE = 1e-10;
+
+// Residual capacity treated as zero; vertex weights on each side sum to 1
+const FLOW_EPSILON = 1e-12;
+
+/**
+ * Whether two canonical splits (bitsets of the side without taxon 0) cannot
+ * both be edges of one tree. As neither side contains taxon 0, the splits are
+ * compatible exactly when the bitsets are nested or disjoint.
+ */
+function incompatible(edge1, edge2) {
+    const shared = edge1.bits.intersectionSize(edge2.bits);
+    return shared > 0 && shared < edge1.size && shared < edge2.size;
+}
+
+function squaredNorm(edges) {
+    let sum = 0;
+    for (const edge of edges) {
+        sum += edge.length * edge.length;
+    }
+    return sum;
+}
+
+/**
+ * Minimum-weight vertex cover of the bipartite incompatibility graph between
+ * A and B, with vertex weights |e|^2 / ||A||^2 and |e|^2 / ||B||^2, found as a
+ * minimum s-t cut (Edmonds-Karp on source -> A -> B -> sink).
+ * @returns {{weight: number, coverA: Array<boolean>, coverB: Array<boolean>}}
+ */
+function minWeightVertexCover(A, B) {
+    const normA = squaredNorm(A);
+    const normB = squaredNorm(B);
+    const sourceCapacity = A.map(edge => edge.length * edge.length / normA);
+    const sinkCapacity = B.map(edge => edge.length * edge.length / normB);
+
+    // Flow on the uncapacitated middle arcs; residual capacity backwards equals the flow
+    const middleFlow = A.map(() => new Float64Array(B.length));
+    const sourceFlow = new Float64Array(A.length);
+    const sinkFlow = new Float64Array(B.length);
+    const neighbours = A.map(a => B.map((_, j) => j).filter(j => incompatible(a, B[j])));
+
+    // BFS from the source in the residual graph; returns predecessors of reached B vertices
+    const search = () => {
+        const reachedA = new Array(A.length).fill(false);
+        const reachedB = new Array(B.length).fill(false);
+        const previousA = new Int32Array(A.length).fill(-1);
+        const previousB = new Int32Array(B.length).fill(-1);
+        const queue = [];
+        for (let i = 0; i < A.length; i++) {
+            if (sourceCapacity[i] - sourceFlow[i] > FLOW_EPSILON) {
+                reachedA[i] = true;
+                queue.push(i);
+            }
+        }
+        while (queue.length > 0) {
+            const i = queue.shift();
+            for (const j of neighbours[i]) {
+                if (reachedB[j]) continue;
+                reachedB[j] = true;
+                previousB[j] = i;
+                if (sinkCapacity[j] - sinkFlow[j] > FLOW_EPSILON) {
+                    return { reachedA, reachedB, previousA, previousB, end: j };
+                }
+                // Follow flow backwards from B to other A vertices
+                for (let k = 0; k < A.length; k++) {
+                    if (!reachedA[k] && middleFlow[k][j] > FLOW_EPSILON) {
+                        reachedA[k] = true;
+                        previousA[k] = j;
+                        queue.push(k);
+                    }
+                }
+            }
+        }
+        return { reachedA, reachedB, previousA, previousB, end: -1 };
+    };
+
+    let weight = 0;
+    for (;;) {
+        const { reachedA, reachedB, previousA, previousB, end } = search();
+        if (end === -1) {
+            // Cut: A vertices the source cannot reach and B vertices it can
+            return {
+                weight,
+                coverA: reachedA.map(reached => !reached),
+                coverB: reachedB
+            };
+        }
+
+        // Find the bottleneck along the augmenting path, then push it
+        let bottleneck = sinkCapacity[end] - sinkFlow[end];
+        let i = previousB[end];
+        for (;;) {
+            if (previousA[i] === -1) {
+                bottleneck = Math.min(bottleneck, sourceCapacity[i] - sourceFlow[i]);
+                break;
+            }
+            const back = previousA[i];
+            bottleneck = Math.min(bottleneck, middleFlow[i][back]);
+            i = previousB[back];
+        }
+
+        sinkFlow[end] += bottleneck;
+        let j = end;
+        i = previousB[j];
+        for (;;) {
+            middleFlow[i][j] += bottleneck;
+            if (previousA[i] === -1) {
+                sourceFlow[i] += bottleneck;
+                break;
+            }
+            const back = previousA[i];
+            middleFlow[i][back] -= bottleneck;
+            j = back;
+            i = previousB[j];
+        }
+        weight += bottleneck;
+    }
+}
+
+/**
+ * Geodesic between the parts of two trees that share no splits and have no
+ * edge compatible with the whole other tree. Starting from the cone path
+ * (contract all of A, then grow all of B), the GTP algorithm repeatedly splits
+ * a support pair (A_i, B_i) along a minimum-weight vertex cover of weight
+ * below 1, until every pair has the extension property.
+ * @returns {{squaredLength: number, exact: boolean}}
+ */
+function geodesicOfSubproblem(A, B, clock) {
+    const support = [{ A, B }];
+    let exact = true;
+
+    for (let i = 0; i < support.length;) {
+        if (Date.now() > clock.deadline) {
+            // Keep the path found so far: later pairs stay on their cone paths
+            exact = false;
+            break;
+        }
+        const { A: Ai, B: Bi } = support[i];
+        const cover = minWeightVertexCover(Ai, Bi);
+        if (cover.weight >= 1 - COVER_TOLERANCE) {
+            i++;
+            continue;
+        }
+        // (C1, D1) must precede (C2, D2): C2 and D1 are uncovered, hence compatible
+        const C1 = Ai.filter((_, k) => cover.coverA[k]);
+        const C2 = Ai.filter((_, k) => !cover.coverA[k]);
+        const D1 = Bi.filter((_, k) => !cover.coverB[k]);
+        const D2 = Bi.filter((_, k) => cover.coverB[k]);
+        support.splice(i, 1, { A: C1, B: D1 }, { A: C2, B: D2 });
+    }
+
+    let squaredLength = 0;
+    for (const { A: Ai, B: Bi } of support) {
+        const length = Math.sqrt(squaredNorm(Ai)) + Math.sqrt(squaredNorm(Bi));
+        squaredLength += length * length;
+    }
+    return { squaredLength, exact };
+}
+
+function toEdges(splits, scale) {
+    const edges = [];
+    for (const [key, { bits, length }] of splits) {
+        // A zero-length edge is the same point of tree space as no edge
+        if (length > 0) {
+            edges.push({ key, bits, size: bits.cardinality(), length: length * scale });
+        }
+    }
+    return edges;
+}
+
+function totalLength(decomposition) {
+    let total = 0;
+    for (const { length } of decomposition.splits.values()) {
+        total += length;
+    }
+    for (const length of decomposition.pendantLengths) {
+        total += length;
+    }
+    return total;
+}
+
+/**
+ * BHV geodesic distance between two trees given by their split decompositions
+ * (interior splits with branch lengths, plus pendant edge lengths).
+ *
+ * Splits common to both trees contribute the difference of their lengths and
+ * cut the problem into independent regions; within a region, edges compatible
+ * with every edge of the other tree contribute their full length, and the rest
+ * is solved by the GTP algorithm of Owen & Provan (2011). Pendant edges
+ * contribute the differences of their lengths.
+ *
+ * If the time limit is reached, the unrefined support pairs are crossed on
+ * their cone paths, giving an upper bound; the lower bound is the Euclidean
+ * distance between the trees' split-length vectors.
+ *
+ * @param {{splits: Map, pendantLengths: Float64Array}} decomposition1 - First tree
+ * @param {{splits: Map, pendantLengths: Float64Array}} decomposition2 - Second tree
+ * @param {Object} options - Optional settings
+ * @param {number} options.timeLimit - Milliseconds allowed before falling back to the cone-path bound (default 1000)
+ * @param {boolean} options.scale - Rescale each tree to total branch length 1 first
+ * @returns {{distance: number, lowerBound: number, upperBound: number, exact: boolean}}
+ */
+export function computeGeodesic(decomposition1, decomposition2, options = {}) {
+    const timeLimit = options.timeLimit !== undefined ? options.timeLimit : 1000;
+    const clock = { deadline: Date.now() + timeLimit };
+
+    const scaleOf = (decomposition) => {
+        if (!options.scale) return 1;
+        const total = totalLength(decomposition);
+        return total > 0 ? 1 / total : 1;
+    };
+    const scale1 = scaleOf(decomposition1);
+    const scale2 = scaleOf(decomposition2);
+    const edges1 = toEdges(decomposition1.splits, scale1);
+    const edges2 = toEdges(decomposition2.splits, scale2);
+
+    let fixed = 0;
+    const pendant1 = decomposition1.pendantLengths;
+    const pendant2 = decomposition2.pendantLengths;
+    for (let k = 0; k < pendant1.length; k++) {
+        const difference = pendant1[k] * scale1 - pendant2[k] * scale2;
+        fixed += difference * difference;
+    }
+
+    // Common splits
+    const byKey2 = new Map(edges2.map(edge => [edge.key, edge]));
+    const common = [];
+    for (const edge of edges1) {
+        const match = byKey2.get(edge.key);
+        if (match) {
+            const difference = edge.length - match.length;
+            fixed += difference * difference;
+            common.push(edge);
+        }
+    }
+    const commonKeys = new Set(common.map(edge => edge.key));
+
+    // Group the remaining edges by region: the smallest common split whose
+    // side without taxon 0 strictly contains them, or the outermost region
+    const regions = new Map();
+    const regionOf = (edge) => {
+        let best = null;
+        for (const split of common) {
+            if (split.size > edge.size && (!best || split.size < best.size) &&
+                split.bits.intersectionSize(edge.bits) === edge.size) {
+                best = split;
+            }
+        }
+        const key = best ? best.key : '';
+        if (!regions.has(key)) {
+            regions.set(key, { A: [], B: [] });
+        }
+        return regions.get(key);
+    };
+    for (const edge of edges1) {
+        if (!commonKeys.has(edge.key)) regionOf(edge).A.push(edge);
+    }
+    for (const edge of edges2) {
+        if (!commonKeys.has(edge.key)) regionOf(edge).B.push(edge);
+    }
+
+    let squaredLength = fixed;
+    let squaredLowerBound = fixed;
+    let exact = true;
+    for (const { A, B } of regions.values()) {
+        // Edges compatible with the whole other tree never need to shrink to zero
+        const incompatibleA = [];
+        const incompatibleB = [];
+        for (const a of A) {
+            if (B.some(b => incompatible(a, b))) {
+                incompatibleA.push(a);
+            } else {
+                squaredLength += a.length * a.length;
+            }
+        }
+        for (const b of B) {
+            if (A.some(a => incompatible(a, b))) {
+                incompatibleB.push(b);
+            } else {
+                squaredLength += b.length * b.length;
+            }
+        }
+        squaredLowerBound += squaredNorm(A) + squaredNorm(B);
+
+        if (incompatibleA.length > 0) {
+            const result = geodesicOfSubproblem(incompatibleA, incompatibleB, clock);
+            squaredLength += result.squaredLength;
+            exact = exact && result.exact;
+        }
+    }
+
+    const upperBound = Math.sqrt(squaredLength);
+    return {
+        distance: upperBound,
+        lowerBound: exact ? upperBound : Math.sqrt(squaredLowerBound),
+        upperBound,
+        exact
+    };
+}
@@ -88,6 +88,20 @@ export class BitSet {
         }
     }
 
+    /**
+     * Invert every bit within the size of this BitSet
+     */
+    flip() {
+        for (let i = 0; i < this.words.length; i++) {
+            this.words[i] = ~this.words[i];
+        }
+        // Keep bits beyond size cleared so equals() and cardinality() stay valid
+        const tailBits = this.size % 32;
+        if (tailBits !== 0) {
+            this.words[this.words.length - 1] &= (1 << tailBits) - 1;
+        }
+    }
+
     /**
      * Count the number of set bits (cardinality)
      */
@@ -104,6 +118,22 @@ export class BitSet {
         return count;
     }
 
+    /**
+     * Count the bits set in both this BitSet and another, without allocating
+     */
+    intersectionSize(other) {
+        let count = 0;
+        const minWords = Math.min(this.words.length, other.words.length);
+        for (let i = 0; i < minWords; i++) {
+            let word = this.words[i] & other.words[i];
+            while (word) {
+                word &= word - 1;
+                count++;
+            }
+        }
+        return count;
+    }
+
     /**
      * Find the index of the next set bit starting from a given position
      */
@@ -205,6 +235,13 @@ export class BitSet {
         return setBits.join(',');
     }
 
+    /**
+     * Compact key built from the raw words (for hashing, not display)
+     */
+    toKey() {
+        return this.words.join('.');
+    }
+
     /**
      * Create a BitSet from a string representation
      */
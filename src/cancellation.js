@@ -0,0 +1,40 @@
+// cancellation.js - Stopping long-running analyses with an AbortSignal
+
+/**
+ * Thrown when an analysis stops because its signal was aborted.
+ * Where part of the work is still useful, it is attached as `partial`.
+ */
+export class CancelledError extends Error {
+    constructor(message = 'Cancelled', partial = null) {
+        super(message);
+        this.name = 'CancelledError';
+        this.partial = partial;
+    }
+}
+
+/**
+ * Whether an error is a cancellation rather than a failure
+ */
+export function isCancelled(error) {
+    return Boolean(error) && error.name === 'CancelledError';
+}
+
+/**
+ * Throw a CancelledError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal of an AbortController; may be null
+ */
+export function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw new CancelledError();
+    }
+}
+
+/**
+ * Let the browser handle pending events (including a click on Cancel), then
+ * throw if the signal was aborted meanwhile
+ * @param {AbortSignal} [signal] - Signal of an AbortController; may be null
+ */
+export async function yieldToEventLoop(signal) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    throwIfCancelled(signal);
+}
@@ -2,6 +2,10 @@
 
 import { BitSet } from '../bitset';
 import { Clade } from './clade';
+import { yieldToEventLoop } from '../cancellation';
+
+// Milliseconds of work between yields to the event loop in the async methods
+const YIELD_INTERVAL = 50;
 
 /**
  * Abstract base class for Conditional Clade Distribution
@@ -352,42 +356,7 @@ export class AbstractCCD {
                 }
                 
                 if (allChildrenComputed && clade.partitions.length > 0) {
-                    // Compute max CCP for this clade
-                    let maxLogCCP = -Infinity;
-                    let maxPartition = null;
-                    
-                    for (const partition of clade.partitions) {
-                        const child1MaxLogCCP = partition.childClades[0].maxSubtreeCCP;
-                        const child2MaxLogCCP = partition.childClades[1].maxSubtreeCCP;
-                        const partitionCCP = partition.getCCP();
-                        const partitionLogCCP = partition.getLogCCP();
-                        
-                        // Debug first few computations
-                        if (computed < 5 && clade.partitions.length === 1) {
-                            console.log(`Clade ${clade.cladeInBits.toString()}: partition CCP=${partitionCCP}, logCCP=${partitionLogCCP}`);
-                        }
-                        
-                        // Check for invalid values
-                        if (isNaN(partitionLogCCP) || partitionLogCCP === -Infinity || partitionCCP <= 0) {
-                            continue;
-                        }
-                        
-                        const totalLogCCP = partitionLogCCP + child1MaxLogCCP + child2MaxLogCCP;
-                        
-                        if (totalLogCCP > maxLogCCP) {
-                            maxLogCCP = totalLogCCP;
-                            maxPartition = partition;
-                        }
-                    }
-                    
-                    // If no valid partition found, this clade can't form a valid tree
-                    if (maxLogCCP === -Infinity) {
-                        console.warn(`No valid partition found for clade ${clade.cladeInBits.toString()}`);
-                        clade.maxSubtreeCCP = -Infinity;
-                    } else {
-                        clade.maxSubtreeCCP = maxLogCCP;
-                        clade.maxSubtreeCCPPartition = maxPartition;
-                    }
+                    this.computeMaxSubtreeCCP(clade);
                     
                     computed++;
                     changed = true;
@@ -419,6 +388,126 @@ export class AbstractCCD {
         return Math.exp(this.getMaxLogTreeProbability(progressCallback));
     }
 
+    // Best log probability of a subtree below the clade, over the partitions
+    // whose child clades are already computed
+    computeMaxSubtreeCCP(clade) {
+        let maxLogCCP = -Infinity;
+        let maxPartition = null;
+        
+        for (const partition of clade.partitions) {
+            const partitionCCP = partition.getCCP();
+            const partitionLogCCP = partition.getLogCCP();
+            
+            // Check for invalid values
+            if (isNaN(partitionLogCCP) || partitionLogCCP === -Infinity || partitionCCP <= 0) {
+                continue;
+            }
+            
+            const totalLogCCP = partitionLogCCP +
+                partition.childClades[0].maxSubtreeCCP + partition.childClades[1].maxSubtreeCCP;
+            if (totalLogCCP > maxLogCCP) {
+                maxLogCCP = totalLogCCP;
+                maxPartition = partition;
+            }
+        }
+        
+        // If no valid partition found, this clade can't form a valid tree
+        if (maxLogCCP === -Infinity) {
+            console.warn(`No valid partition found for clade ${clade.cladeInBits.toString()}`);
+        }
+        clade.maxSubtreeCCP = maxLogCCP;
+        clade.maxSubtreeCCPPartition = maxPartition;
+    }
+
+    /**
+     * Clades reachable from the root clade, each listed after all the clades
+     * below it, so that a single pass can compute bottom-up quantities
+     */
+    getCladesInPostOrder() {
+        const order = [];
+        const finished = new Set();
+        const stack = [{ clade: this.rootClade, expanded: false }];
+        
+        while (stack.length > 0) {
+            const { clade, expanded } = stack.pop();
+            if (expanded) {
+                order.push(clade);
+                continue;
+            }
+            // A clade below several others is pushed once per parent; only the first visit counts
+            if (finished.has(clade)) {
+                continue;
+            }
+            finished.add(clade);
+            stack.push({ clade, expanded: true });
+            for (const partition of clade.partitions) {
+                for (const child of partition.childClades) {
+                    if (!finished.has(child)) {
+                        stack.push({ clade: child, expanded: false });
+                    }
+                }
+            }
+        }
+        return order;
+    }
+
+    /**
+     * getEntropyLewis, yielding to the event loop about every 50 ms so that the
+     * page stays responsive and the signal can stop it (with a CancelledError)
+     */
+    async getEntropyLewisAsync(progressCallback = null, signal = null) {
+        const clades = this.getCladesInPostOrder();
+        let lastYield = Date.now();
+        
+        for (let k = 0; k < clades.length; k++) {
+            clades[k].computeEntropy();
+            
+            if (Date.now() - lastYield > YIELD_INTERVAL) {
+                if (progressCallback) {
+                    const percent = Math.round((k + 1) / clades.length * 100);
+                    progressCallback(`Computing Lewis entropy: ${percent}% complete (${k + 1}/${clades.length} clades)`);
+                }
+                await yieldToEventLoop(signal);
+                lastYield = Date.now();
+            }
+        }
+        this.entropyDirty = false;
+        
+        return this.rootClade.entropy;
+    }
+
+    /**
+     * getMaxLogTreeProbability, yielding to the event loop about every 50 ms so
+     * that the page stays responsive and the signal can stop it (with a CancelledError)
+     */
+    async getMaxLogTreeProbabilityAsync(progressCallback = null, signal = null) {
+        this.tidyUpCacheIfDirty();
+        
+        const clades = this.getCladesInPostOrder();
+        let lastYield = Date.now();
+        
+        for (let k = 0; k < clades.length; k++) {
+            const clade = clades[k];
+            if (clade.isLeaf()) {
+                clade.maxSubtreeCCP = 0; // log(1) = 0
+                clade.maxSubtreeCCPPartition = null;
+            } else {
+                this.computeMaxSubtreeCCP(clade);
+            }
+            
+            if (Date.now() - lastYield > YIELD_INTERVAL) {
+                if (progressCallback) {
+                    const percent = Math.round((k + 1) / clades.length * 100);
+                    progressCallback(`Computing maximum tree probability: ${percent}% complete (${k + 1}/${clades.length} clades)`);
+                }
+                await yieldToEventLoop(signal);
+                lastYield = Date.now();
+            }
+        }
+        
+        return this.rootClade.maxSubtreeCCP;
+    }
+
     /**
      * Calculate the log probability of a specific tree under this CCD
      * @param {Tree} tree - The tree to evaluate
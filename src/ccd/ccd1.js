@@ -1,6 +1,7 @@
 // ccd/ccd1.js - CCD1 implementation
 
 import { AbstractCCD } from './abstract-ccd';
+import { throwIfCancelled } from '../cancellation';
 
 /**
  * CCD1 implementation - standard CCD where partition probabilities are based on frequency
@@ -53,7 +54,7 @@ export class CCD1 extends AbstractCCD {
         return ccd;
     }
 
-    static async fromTreesAsync(trees, burnin = 0, progressCallback = null) {
+    static async fromTreesAsync(trees, burnin = 0, progressCallback = null, signal = null) {
         if (trees.length === 0) {
             throw new Error('No trees provided');
         }
@@ -90,6 +91,7 @@ export class CCD1 extends AbstractCCD {
             if (progressCallback) {
                 await progressCallback(i + 1, treesToUse.length);
             }
+            throwIfCancelled(signal);
             ccd.addTree(treesToUse[i]);
         }
         
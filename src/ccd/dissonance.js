@@ -1,22 +1,28 @@
 // ccd/dissonance.js - Calculate dissonance between tree sets
 
 import { CCD1 } from './ccd1';
+import { CancelledError, isCancelled, yieldToEventLoop } from '../cancellation';
 
 /**
  * Calculate dissonance between multiple tree sets
  * Dissonance = Entropy(combined) - Average(Entropy(individual sets))
  * 
+ * If the signal is aborted, the statistics are computed from the trees processed
+ * so far and returned with `cancelled: true` (numTrees is then the number
+ * processed). Before the first tree is processed, a CancelledError is thrown.
+ * 
  * @param {Array<Array<Tree>>} treeSets - Array of tree arrays (each representing a chain or subset)
  * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {AbortSignal} signal - Optional signal to stop early
  * @returns {Object} Dissonance statistics and per-tree measurements
  */
-export async function calculateDissonance(treeSets, progressCallback = null) {
+export async function calculateDissonance(treeSets, progressCallback = null, signal = null) {
     if (treeSets.length === 0) {
         throw new Error('No tree sets provided');
     }
     
     const numChains = treeSets.length;
-    const numTrees = Math.min(...treeSets.map(set => set.length));
+    let numTrees = Math.min(...treeSets.map(set => set.length));
     
     if (numTrees === 0) {
         throw new Error('Empty tree sets provided');
@@ -62,7 +68,18 @@ export async function calculateDissonance(treeSets, progressCallback = null) {
     const dissonanceValues = [];
     
     // Process trees incrementally
+    let cancelled = false;
     for (let i = 0; i < numTrees; i++) {
+        if (signal && signal.aborted) {
+            if (i === 0) {
+                throw new CancelledError();
+            }
+            // Keep the trace up to the last tree processed
+            cancelled = true;
+            numTrees = i;
+            break;
+        }
+        
         if (progressCallback) {
             const percent = Math.round((i / numTrees) * 100);
             await progressCallback(`Computing dissonance: ${percent}% (tree ${i + 1} of ${numTrees})`);
@@ -114,6 +131,7 @@ export async function calculateDissonance(treeSets, progressCallback = null) {
     return {
         numChains,
         numTrees,
+        cancelled,
         finalDissonance,
         meanDissonance,
         maxDissonance,
@@ -134,9 +152,11 @@ export async function calculateDissonance(treeSets, progressCallback = null) {
  * @param {Array<Tree>} trees - Array of trees from a single chain
  * @param {number} numSplits - Number of ways to split the chain (default 2 for first/second half)
  * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {AbortSignal} signal - Optional signal to stop early; the dissonance trace
+ *   computed so far is returned with `cancelled: true` (see calculateDissonance)
  * @returns {Object} Within-chain dissonance statistics
  */
-export async function calculateWithinChainDissonance(trees, numSplits = 2, progressCallback = null) {
+export async function calculateWithinChainDissonance(trees, numSplits = 2, progressCallback = null, signal = null) {
     if (trees.length < numSplits * 2) {
         throw new Error(`Not enough trees (${trees.length}) to split into ${numSplits} parts`);
     }
@@ -156,23 +176,30 @@ export async function calculateWithinChainDissonance(trees, numSplits = 2, progr
     }
     
     // Use the general dissonance calculator
-    const result = await calculateDissonance(treeSets, progressCallback);
+    const result = await calculateDissonance(treeSets, progressCallback, signal);
     
     // Add CCD probability comparison for hard problems
-    if (numSplits === 2 && result.chainCCDs.length === 2 && result.avgFinalEntropy > 10) {
+    if (!result.cancelled && numSplits === 2 && result.chainCCDs.length === 2 && result.avgFinalEntropy > 10) {
         if (progressCallback) {
             await progressCallback(`Comparing CCD probabilities for sampled trees...`);
         }
         
-        const ccdComparison = await compareCCDTreeProbabilities(
-            treeSets[0], 
-            treeSets[1], 
-            result.chainCCDs[0], 
-            result.chainCCDs[1],
-            progressCallback
-        );
-        
-        result.ccdProbabilityComparison = ccdComparison;
+        try {
+            result.ccdProbabilityComparison = await compareCCDTreeProbabilities(
+                treeSets[0], 
+                treeSets[1], 
+                result.chainCCDs[0], 
+                result.chainCCDs[1],
+                progressCallback,
+                signal
+            );
+        } catch (error) {
+            if (!isCancelled(error)) {
+                throw error;
+            }
+            // The dissonance itself is complete; only the comparison is dropped
+            result.cancelled = true;
+        }
     }
     
     // Add split-specific information
@@ -223,9 +250,10 @@ function interpretWithinChainDissonance(dissonance, averageEntropy) {
  * @param {CCD1} ccd1 - CCD built from first set
  * @param {CCD1} ccd2 - CCD built from second set
  * @param {Function} progressCallback - Optional progress callback
+ * @param {AbortSignal} signal - Optional signal to stop (throws a CancelledError)
  * @returns {Object} Comparison statistics
  */
-async function compareCCDTreeProbabilities(trees1, trees2, ccd1, ccd2, progressCallback) {
+async function compareCCDTreeProbabilities(trees1, trees2, ccd1, ccd2, progressCallback, signal = null) {
     const results = {
         numTreesCompared: 0,
         logProbDifferences: [],
@@ -286,7 +314,7 @@ async function compareCCDTreeProbabilities(trees1, trees2, ccd1, ccd2, progressC
         
         // Allow UI update
         if (i % 50 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 0));
+            await yieldToEventLoop(signal);
         }
     }
     
@@ -354,6 +382,11 @@ export function formatDissonanceResults(results) {
         html += `<p class="interpretation"><strong>Interpretation:</strong> ${results.interpretation}</p>`;
     }
     
+    if (results.cancelled) {
+        html += '<p class="hard-problem-note"><strong>Note:</strong> Cancelled before the end of the chain; ' +
+            `these values cover the first ${results.numTrees} trees of each part.</p>`;
+    }
+    
     if (results.hardProblemNote) {
         html += `<p class="hard-problem-note"><strong>Note:</strong> ${results.hardProblemNote}</p>`;
     }
@@ -1,5 +1,7 @@
 // ccd/statistics.js - Helper functions for computing CCD statistics
 
+import { yieldToEventLoop } from '../cancellation';
+
 /**
  * Helper function to compute CCD statistics
  */
@@ -32,9 +34,10 @@ export function computeCCDStatistics(ccd) {
 }
 
 /**
- * Helper function to compute CCD statistics with progress reporting
+ * Helper function to compute CCD statistics with progress reporting.
+ * An aborted signal stops it with a CancelledError.
  */
-export async function computeCCDStatisticsAsync(ccd, progressCallback = null) {
+export async function computeCCDStatisticsAsync(ccd, progressCallback = null, signal = null) {
     const stats = {
         numberOfTrees: ccd.getNumberOfBaseTrees(),
         numberOfClades: ccd.getNumberOfClades(),
@@ -52,7 +55,7 @@ export async function computeCCDStatisticsAsync(ccd, progressCallback = null) {
     if (progressCallback) {
         progressCallback('Computing entropy (standard method)...');
     }
-    await new Promise(resolve => setTimeout(resolve, 0));
+    await yieldToEventLoop(signal);
     
     // Compute entropy
     stats.entropy = ccd.getEntropy();
@@ -63,14 +66,7 @@ export async function computeCCDStatisticsAsync(ccd, progressCallback = null) {
     await new Promise(resolve => setTimeout(resolve, 0));
     
     // Compute Lewis entropy with progress callback
-    const lewisProgressCallback = async (message) => {
-        if (progressCallback) {
-            progressCallback(message);
-            await new Promise(resolve => setTimeout(resolve, 0));
-        }
-    };
-    
-    stats.entropyLewis = ccd.getEntropyLewis(lewisProgressCallback);
+    stats.entropyLewis = await ccd.getEntropyLewisAsync(progressCallback, signal);
     
     if (progressCallback) {
         progressCallback('Computing maximum tree probability...');
@@ -78,15 +74,8 @@ export async function computeCCDStatisticsAsync(ccd, progressCallback = null) {
     await new Promise(resolve => setTimeout(resolve, 0));
     
     // Compute max tree probability with progress callback
-    const maxProbProgressCallback = async (message) => {
-        if (progressCallback) {
-            progressCallback(message);
-            await new Promise(resolve => setTimeout(resolve, 0));
-        }
-    };
-    
-    stats.maxLogTreeProbability = ccd.getMaxLogTreeProbability(maxProbProgressCallback);
-    stats.maxTreeProbability = ccd.getMaxTreeProbability();
+    stats.maxLogTreeProbability = await ccd.getMaxLogTreeProbabilityAsync(progressCallback, signal);
+    stats.maxTreeProbability = Math.exp(stats.maxLogTreeProbability);
     
     if (progressCallback) {
         progressCallback('Finding most probable clades...');
@@ -0,0 +1,102 @@
+// cophenetic-distance.js - Distances between the cophenetic (MRCA age) vectors of time trees
+
+// Per-tree cophenetic vectors, keyed on the tree object
+const vectorCache = new WeakMap();
+
+function pairIndex(i, j, numTaxa) {
+    return i * (2 * numTaxa - i - 1) / 2 + (j - i - 1);
+}
+
+/**
+ * The cophenetic vector of a rooted tree: for every pair of taxa i < j, the
+ * age of their MRCA, measured back from the most recent leaf, followed by the
+ * ages of the n leaves (all 0 in an ultrametric tree). Each pair is filled in
+ * at its MRCA during one traversal, so building the vector takes O(n^2) time
+ * with no per-pair MRCA search.
+ * @param {Tree} tree - The tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @returns {Float64Array} Pair ages in the packed upper-triangle order, then leaf ages
+ */
+export function getCopheneticVector(tree, taxonMapping) {
+    const cached = vectorCache.get(tree);
+    if (cached && cached.taxonMapping === taxonMapping) {
+        return cached.vector;
+    }
+
+    const numTaxa = taxonMapping.size;
+    const leafOffset = numTaxa * (numTaxa - 1) / 2;
+    // Distances from the root first; turned into ages once the deepest leaf is known
+    const vector = new Float64Array(leafOffset + numTaxa);
+    let maxHeight = 0;
+
+    const visit = (node, height) => {
+        if (node.children.length === 0) {
+            const label = node.label || node.id.toString();
+            const index = taxonMapping.get(label);
+            if (index === undefined) {
+                throw new Error(`Taxon "${label}" not found in taxon mapping`);
+            }
+            vector[leafOffset + index] = height;
+            maxHeight = Math.max(maxHeight, height);
+            return [index];
+        }
+
+        const below = [];
+        for (const child of node.children) {
+            const taxa = visit(child, height + (child.branchLength || 0));
+            for (const a of below) {
+                for (const b of taxa) {
+                    vector[a < b ? pairIndex(a, b, numTaxa) : pairIndex(b, a, numTaxa)] = height;
+                }
+            }
+            below.push(...taxa);
+        }
+        return below;
+    };
+    visit(tree.root, 0);
+
+    for (let k = 0; k < vector.length; k++) {
+        vector[k] = maxHeight - vector[k];
+    }
+
+    vectorCache.set(tree, { taxonMapping, vector });
+    return vector;
+}
+
+/**
+ * Distance between the cophenetic vectors of two rooted trees on the same
+ * taxa (Cardona et al. 2013), in the L1, L2 or L-infinity norm. As the
+ * entries are ages rather than depths below the root, trees with the same
+ * topology but different node dates are told apart, including by their root age.
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @param {string} norm - 'l1', 'l2' or 'linf'
+ * @returns {number} The distance
+ */
+export function computeCopheneticDistance(tree1, tree2, taxonMapping, norm = 'l2') {
+    const v1 = getCopheneticVector(tree1, taxonMapping);
+    const v2 = getCopheneticVector(tree2, taxonMapping);
+
+    let total = 0;
+    switch (norm) {
+        case 'l1':
+            for (let k = 0; k < v1.length; k++) {
+                total += Math.abs(v1[k] - v2[k]);
+            }
+            return total;
+        case 'l2':
+            for (let k = 0; k < v1.length; k++) {
+                const diff = v1[k] - v2[k];
+                total += diff * diff;
+            }
+            return Math.sqrt(total);
+        case 'linf':
+            for (let k = 0; k < v1.length; k++) {
+                total = Math.max(total, Math.abs(v1[k] - v2[k]));
+            }
+            return total;
+        default:
+            throw new Error(`Unknown cophenetic norm "${norm}"`);
+    }
+}
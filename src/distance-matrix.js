@@ -0,0 +1,120 @@
+// distance-matrix.js - Symmetric distance matrix stored as a packed upper triangle
+
+/**
+ * Symmetric matrix with a zero diagonal, holding only the n(n-1)/2 entries
+ * above the diagonal in one Float64Array, row by row: (0,1), (0,2), ...,
+ * (0,n-1), (1,2), ... A 10,000-tree matrix takes 400 MB this way, against
+ * well over twice that for nested arrays of both halves.
+ */
+export class DistanceMatrix {
+    /**
+     * @param {number} size - Number of rows (trees)
+     * @param {Float64Array} [values] - Packed upper triangle, row by row; zeros if omitted
+     */
+    constructor(size, values = new Float64Array(size * (size - 1) / 2)) {
+        if (values.length !== size * (size - 1) / 2) {
+            throw new Error(`A ${size}x${size} distance matrix needs ${size * (size - 1) / 2} values, not ${values.length}`);
+        }
+        this.size = size;
+        this.values = values;
+    }
+
+    /**
+     * Build from a nested array (only the upper triangle is read)
+     * @param {Array<Array<number>>} rows - Square matrix
+     * @returns {DistanceMatrix}
+     */
+    static fromArray(rows) {
+        const n = rows.length;
+        const matrix = new DistanceMatrix(n);
+        let k = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                matrix.values[k++] = rows[i][j];
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Position in values of the first entry of row i, i.e. of (i, i + 1)
+     */
+    rowOffset(i) {
+        return i * (2 * this.size - i - 1) / 2;
+    }
+
+    /**
+     * Position in values of entry (i, j), i != j
+     */
+    index(i, j) {
+        return i < j ? this.rowOffset(i) + j - i - 1 : this.rowOffset(j) + i - j - 1;
+    }
+
+    /**
+     * Distance between i and j
+     */
+    get(i, j) {
+        return i === j ? 0 : this.values[this.index(i, j)];
+    }
+
+    /**
+     * Set the distance between i and j (and j and i)
+     */
+    set(i, j, value) {
+        if (i === j) {
+            throw new Error('The diagonal of a distance matrix is always 0');
+        }
+        this.values[this.index(i, j)] = value;
+    }
+
+    /**
+     * Full row i, including the diagonal zero
+     * @param {number} i - Row index
+     * @param {Float64Array} [out] - Array of length size to fill instead of allocating one
+     * @returns {Float64Array}
+     */
+    row(i, out = new Float64Array(this.size)) {
+        const n = this.size;
+        // Entries left of the diagonal come from column i of earlier rows
+        let k = i - 1;
+        for (let j = 0; j < i; j++) {
+            out[j] = this.values[k];
+            k += n - j - 2;
+        }
+        out[i] = 0;
+        const offset = this.rowOffset(i) - i - 1;
+        for (let j = i + 1; j < n; j++) {
+            out[j] = this.values[offset + j];
+        }
+        return out;
+    }
+
+    /**
+     * Iterate over the rows in order. One buffer is reused for every row, so
+     * copy a row that must outlive the next step of the iteration.
+     */
+    *rows() {
+        const buffer = new Float64Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            yield this.row(i, buffer);
+        }
+    }
+
+    /**
+     * Copy into a nested array, e.g. for code that expects one. Needs memory
+     * for both halves, so avoid it for large matrices.
+     * @returns {Array<Array<number>>}
+     */
+    toArray() {
+        return Array.from(this.rows(), row => Array.from(row));
+    }
+}
+
+/**
+ * A DistanceMatrix as it is, or one built from a nested array
+ * @param {DistanceMatrix|Array<Array<number>>} distances
+ * @returns {DistanceMatrix}
+ */
+export function toDistanceMatrix(distances) {
+    return distances instanceof DistanceMatrix ? distances : DistanceMatrix.fromArray(distances);
+}
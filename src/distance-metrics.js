@@ -1,18 +1,44 @@
 // src/distance-metrics.js
-export function calculateRFDistance(tree1, tree2) {
-    const splits1 = getTreeSplits(tree1);
-    const splits2 = getTreeSplits(tree2);
+import { BitSet } from './bitset';
+import { computeRootedSPR, computeTBR } from './agreement-forest';
+import { maxWeightMatching, minCostMatching } from './matching';
+import { computeQuartetDistance } from './quartet-distance';
+import { computeTripletDistance } from './triplet-distance';
+import { computeRNNIDistance, computeDCTDistance } from './rnni-distance';
+import { computeCopheneticDistance } from './cophenetic-distance';
+import { computeKCComponents, kcDistanceFromComponents } from './kendall-colijn';
+import { computeGeodesic } from './bhv-geodesic';
+import { pruneTree } from './taxon-reconciliation';
+import { registerMetric, getMetric, getMetrics } from './metric-registry';
+import { yieldToEventLoop } from './cancellation';
+import { DistanceMatrix } from './distance-matrix';
+
+export { registerMetric, getMetric, getMetrics } from './metric-registry';
+
+// Per-tree split cache, keyed on the tree object so each tree is cladified once per taxon mapping
+const splitCache = new WeakMap();
+
+// Per-tree leaf-to-leaf path vectors, keyed on the tree object
+const pathCache = new WeakMap();
+
+/**
+ * Robinson-Foulds distance: the number of splits found in only one of the two
+ * trees, or of clusters when the trees are treated as rooted
+ */
+export function calculateRFDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), rooted = false) {
+    const splits1 = getTreeSplits(tree1, taxonMapping, rooted);
+    const splits2 = getTreeSplits(tree2, taxonMapping, rooted);
     
     let symmetric_difference = 0;
     
-    for (const split of splits1) {
-        if (!splits2.some(s => areSplitsEqual(s, split))) {
+    for (const key of splits1.keys()) {
+        if (!splits2.has(key)) {
             symmetric_difference++;
         }
     }
     
-    for (const split of splits2) {
-        if (!splits1.some(s => areSplitsEqual(s, split))) {
+    for (const key of splits2.keys()) {
+        if (!splits1.has(key)) {
             symmetric_difference++;
         }
     }
@@ -20,124 +46,844 @@ export function calculateRFDistance(tree1, tree2) {
     return symmetric_difference;
 }
 
-export function calculateSPRDistance(tree1, tree2) {
-    const rf = calculateRFDistance(tree1, tree2);
-    return Math.ceil(rf / 2);
+/**
+ * Exact rooted SPR distance. If the time limit is reached before the search
+ * finishes, the greedy upper bound is returned instead; use computeRootedSPR
+ * directly to see both bounds.
+ */
+export function calculateSPRDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), timeLimit) {
+    return computeRootedSPR(tree1, tree2, taxonMapping, { timeLimit }).distance;
+}
+
+/**
+ * Exact TBR distance between the unrooted versions of two trees, with the
+ * same time-limit fallback as calculateSPRDistance (see computeTBR).
+ */
+export function calculateTBRDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), timeLimit) {
+    return computeTBR(tree1, tree2, taxonMapping, { timeLimit }).distance;
+}
+
+/**
+ * Quartet distance: the number of four-taxon subsets resolved differently by
+ * the two unrooted trees, or that count divided by the number of quartets
+ * when normalised. Use computeQuartetDistance directly to get both values.
+ */
+export function calculateQuartetDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), normalize = false) {
+    const result = computeQuartetDistance(tree1, tree2, taxonMapping);
+    return normalize ? result.normalized : result.distance;
+}
+
+/**
+ * Rooted triplet distance: the number of three-taxon subsets whose rooted
+ * topologies differ between the two trees, or that count divided by the
+ * number of triplets when normalised. Unlike RF on splits, this respects the root.
+ */
+export function calculateTripletDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), normalize = false) {
+    const result = computeTripletDistance(tree1, tree2, taxonMapping);
+    return normalize ? result.normalized : result.distance;
+}
+
+/**
+ * Kendall-Colijn distance between two rooted trees. Lambda blends the MRCA
+ * depth vectors (0, topology only) with the MRCA height vectors (1, branch
+ * lengths only); the per-tree vectors are cached, so comparing the same
+ * trees again at a different lambda is cheap.
+ */
+export function calculateKCDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), lambda = 0) {
+    return kcDistanceFromComponents(computeKCComponents(tree1, tree2, taxonMapping), lambda);
+}
+
+/**
+ * Distance between the cophenetic vectors (MRCA ages of every pair of taxa)
+ * of two time trees, in the 'l1', 'l2' or 'linf' norm (see computeCopheneticDistance)
+ */
+export function calculateCopheneticDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), norm = 'l2') {
+    return computeCopheneticDistance(tree1, tree2, taxonMapping, norm);
+}
+
+/**
+ * Ranked NNI distance between two time trees, with internal nodes ranked by
+ * their heights (see computeRNNIDistance)
+ */
+export function calculateRNNIDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2])) {
+    return computeRNNIDistance(tree1, tree2, taxonMapping);
+}
+
+/**
+ * Discrete-time RNNI (DCT) distance, with node ages binned into time slots of
+ * width binWidth (see computeDCTDistance)
+ */
+export function calculateDCTDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), binWidth = 1) {
+    return computeDCTDistance(tree1, tree2, taxonMapping, binWidth);
 }
 
-export function calculatePathDistance(tree1, tree2) {
-    const paths1 = getAllPairwisePaths(tree1);
-    const paths2 = getAllPairwisePaths(tree2);
+/**
+ * Geodesic distance between two trees in Billera-Holmes-Vogtmann tree space,
+ * combining topology and branch lengths (see computeGeodesic). With
+ * options.scale, each tree is first rescaled to total branch length 1; with
+ * options.rooted, the geodesic is taken in the space of rooted trees.
+ * @returns {{distance: number, lowerBound: number, upperBound: number, exact: boolean}}
+ */
+export function computeBHVDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), options = {}) {
+    const rooted = Boolean(options.rooted);
+    return computeGeodesic(getSplitSystem(tree1, taxonMapping, rooted), getSplitSystem(tree2, taxonMapping, rooted), options);
+}
+
+/**
+ * BHV geodesic distance. If the time limit is reached, the cone-path upper
+ * bound is returned; use computeBHVDistance directly to see both bounds.
+ */
+export function calculateBHVDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), timeLimit, scale = false, rooted = false) {
+    return computeBHVDistance(tree1, tree2, taxonMapping, { timeLimit, scale, rooted }).distance;
+}
+
+/**
+ * Weighted Robinson-Foulds distance: the sum of absolute branch-length
+ * differences over the union of splits, including pendant edges. A split
+ * missing from one tree contributes its full length from the other.
+ */
+export function calculateWeightedRFDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), rooted = false) {
+    let total = 0;
+    forEachSplitLengthPair(tree1, tree2, taxonMapping, rooted, (length1, length2) => {
+        total += Math.abs(length1 - length2);
+    });
+    return total;
+}
+
+/**
+ * Kuhner-Felsenstein branch-score distance: the Euclidean distance between the
+ * branch-length vectors of the two trees indexed by split, including pendant edges
+ */
+export function calculateBranchScoreDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), rooted = false) {
+    let total = 0;
+    forEachSplitLengthPair(tree1, tree2, taxonMapping, rooted, (length1, length2) => {
+        const diff = length1 - length2;
+        total += diff * diff;
+    });
+    return Math.sqrt(total);
+}
+
+/**
+ * Visit every split in the union of both trees, and every pendant edge,
+ * with the branch length it has in each tree (0 where absent)
+ */
+function forEachSplitLengthPair(tree1, tree2, taxonMapping, rooted, visit) {
+    const splits1 = getTreeSplits(tree1, taxonMapping, rooted);
+    const splits2 = getTreeSplits(tree2, taxonMapping, rooted);
     
-    let totalDiff = 0;
-    let count = 0;
+    for (const [key, split] of splits1) {
+        const other = splits2.get(key);
+        visit(split.length, other ? other.length : 0);
+    }
+    for (const [key, split] of splits2) {
+        if (!splits1.has(key)) {
+            visit(0, split.length);
+        }
+    }
     
-    for (const key in paths1) {
-        if (paths2[key] !== undefined) {
-            totalDiff += Math.abs(paths1[key] - paths2[key]);
-            count++;
+    const pendants1 = getPendantLengths(tree1, taxonMapping, rooted);
+    const pendants2 = getPendantLengths(tree2, taxonMapping, rooted);
+    for (let i = 0; i < pendants1.length; i++) {
+        visit(pendants1[i], pendants2[i]);
+    }
+}
+
+/**
+ * Clustering information distance (Smith 2020): the clustering information of
+ * both trees minus twice their mutual clustering information, in bits.
+ * The normalised variant divides by the total clustering information of both trees.
+ */
+export function calculateClusteringInfoDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), normalize = false, rooted = false) {
+    const info1 = getSplitInformation(tree1, taxonMapping, rooted).clusteringInfo;
+    const info2 = getSplitInformation(tree2, taxonMapping, rooted).clusteringInfo;
+    const distance = info1 + info2 - 2 * calculateMutualClusteringInfo(tree1, tree2, taxonMapping, rooted);
+    return normalizeInformation(distance, info1 + info2, normalize);
+}
+
+/**
+ * Phylogenetic information distance (Smith 2020): the splitwise phylogenetic
+ * information of both trees minus twice their shared phylogenetic information, in bits.
+ * The normalised variant divides by the total phylogenetic information of both trees.
+ */
+export function calculatePhylogeneticInfoDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), normalize = false, rooted = false) {
+    const info1 = getSplitInformation(tree1, taxonMapping, rooted).phylogeneticInfo;
+    const info2 = getSplitInformation(tree2, taxonMapping, rooted).phylogeneticInfo;
+    const distance = info1 + info2 - 2 * calculateSharedPhylogeneticInfo(tree1, tree2, taxonMapping, rooted);
+    return normalizeInformation(distance, info1 + info2, normalize);
+}
+
+/**
+ * Matching split distance (Bogdanowicz & Giaro 2012) between unrooted trees:
+ * the minimum-cost matching of the two trees' splits, where pairing two splits
+ * costs the number of taxa that must move to turn one into the other. A split
+ * left unmatched (when the trees differ in resolution) is matched against the
+ * nearest trivial split instead.
+ */
+export function calculateMatchingSplitDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2])) {
+    const numTaxa = taxonMapping.size;
+    return matchingDistance(getTreeSplits(tree1, taxonMapping), getTreeSplits(tree2, taxonMapping),
+        (split1, split2) => {
+            // Taxa on the same side under one orientation of the two splits
+            const agree = numTaxa - split1.size - split2.size + 2 * split1.bits.intersectionSize(split2.bits);
+            return Math.min(agree, numTaxa - agree);
+        },
+        split => Math.min(split.size, numTaxa - split.size) - 1);
+}
+
+/**
+ * Matching cluster distance (Bogdanowicz & Giaro 2013) between rooted trees:
+ * the minimum-cost matching of the two trees' clusters, where pairing two
+ * clusters costs the size of their symmetric difference. A cluster left
+ * unmatched is matched against the empty set.
+ */
+export function calculateMatchingClusterDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2])) {
+    return matchingDistance(getTreeClusters(tree1, taxonMapping), getTreeClusters(tree2, taxonMapping),
+        (cluster1, cluster2) => cluster1.size + cluster2.size - 2 * cluster1.bits.intersectionSize(cluster2.bits),
+        cluster => cluster.size);
+}
+
+/**
+ * Minimum-cost matching between two keyed sets of bitsets. Both costs above
+ * are metrics and the penalty is a distance to a fixed set, so pairing every
+ * bitset present in both trees with itself, at cost zero, is always optimal.
+ */
+function matchingDistance(entries1, entries2, cost, penalty) {
+    const unmatched = (entries, others) => {
+        const result = [];
+        for (const [key, { bits }] of entries) {
+            if (!others.has(key)) {
+                result.push({ bits, size: bits.cardinality() });
+            }
+        }
+        return result;
+    };
+    const unmatched1 = unmatched(entries1, entries2);
+    const unmatched2 = unmatched(entries2, entries1);
+    
+    return minCostMatching(unmatched1.length, unmatched2.length,
+        (i, j) => cost(unmatched1[i], unmatched2[j]),
+        i => penalty(unmatched1[i]),
+        j => penalty(unmatched2[j]));
+}
+
+/**
+ * Mutual clustering information between two trees (a similarity, in bits):
+ * the best matching of splits scored by the mutual information of the
+ * clusterings each split induces on the taxa
+ */
+export function calculateMutualClusteringInfo(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), rooted = false) {
+    // A split shared by both trees can always be matched to itself without loss
+    return matchSplitInformation(tree1, tree2, taxonMapping, rooted, splitMutualInformation, true);
+}
+
+/**
+ * Shared phylogenetic information between two trees (a similarity, in bits):
+ * the best matching of splits scored by the information two splits share
+ * about which unrooted binary tree is the true one
+ */
+export function calculateSharedPhylogeneticInfo(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), rooted = false) {
+    // Shared splits are left to the matching: pairing each with a compatible
+    // neighbour can recover more information than pairing it with itself
+    return matchSplitInformation(tree1, tree2, taxonMapping, rooted, splitSharedInformation, false);
+}
+
+function normalizeInformation(distance, totalInfo, normalize) {
+    // Guard against tiny negative values from floating-point cancellation
+    const clamped = Math.max(0, distance);
+    if (!normalize) return clamped;
+    return totalInfo > 0 ? clamped / totalInfo : 0;
+}
+
+function matchSplitInformation(tree1, tree2, taxonMapping, rooted, score, matchSharedSplits) {
+    const numTaxa = getSplitSystem(tree1, taxonMapping, rooted).numTaxa;
+    const splits1 = getSplitInformation(tree1, taxonMapping, rooted).splits;
+    const splits2 = getSplitInformation(tree2, taxonMapping, rooted).splits;
+    
+    if (!matchSharedSplits) {
+        return maxWeightMatching(splits1.length, splits2.length,
+            (i, j) => score(splits1[i], splits2[j], numTaxa));
+    }
+    
+    // Pair splits present in both trees first and only match the remainder
+    const keys1 = getTreeSplits(tree1, taxonMapping, rooted);
+    const keys2 = getTreeSplits(tree2, taxonMapping, rooted);
+    let shared = 0;
+    const unmatched1 = [];
+    for (const split of splits1) {
+        if (keys2.has(split.bits.toKey())) {
+            shared += score(split, split, numTaxa);
+        } else {
+            unmatched1.push(split);
         }
     }
+    const unmatched2 = splits2.filter(split => !keys1.has(split.bits.toKey()));
     
-    return count > 0 ? totalDiff / count : Infinity;
+    return shared + maxWeightMatching(unmatched1.length, unmatched2.length,
+        (i, j) => score(unmatched1[i], unmatched2[j], numTaxa));
 }
 
-function getTreeSplits(tree) {
+// log2 of the double factorial k!!, memoised; k!! = 1 for k <= 1
+const log2DoubleFactorials = [0, 0];
+
+function log2DoubleFactorial(k) {
+    if (k <= 1) return 0;
+    for (let i = log2DoubleFactorials.length; i <= k; i++) {
+        log2DoubleFactorials[i] = log2DoubleFactorials[i - 2] + Math.log2(i);
+    }
+    return log2DoubleFactorials[k];
+}
+
+/**
+ * Phylogenetic information content of a split with sides of size a and b:
+ * -log2 of the proportion of unrooted binary trees that contain it
+ */
+function splitPhylogeneticInfo(a, b) {
+    return log2DoubleFactorial(2 * (a + b) - 5) - log2DoubleFactorial(2 * a - 3) - log2DoubleFactorial(2 * b - 3);
+}
+
+/**
+ * Entropy of the two-cluster partition a split induces on the taxa
+ */
+function splitClusteringInfo(a, b) {
+    const n = a + b;
+    return -(a / n) * Math.log2(a / n) - (b / n) * Math.log2(b / n);
+}
+
+/**
+ * Splits of a tree with their clustering and phylogenetic information,
+ * plus the totals for the tree; cached alongside the split decomposition
+ */
+function getSplitInformation(tree, taxonMapping, rooted) {
+    const decomposition = getSplitSystem(tree, taxonMapping, rooted);
+    if (decomposition.information) {
+        return decomposition.information;
+    }
+    
+    const numTaxa = decomposition.numTaxa;
     const splits = [];
-    const tipLabels = tree.getTipLabels();
+    let clusteringInfo = 0;
+    let phylogeneticInfo = 0;
     
-    function getSplitForNode(node) {
-        if (node.isLeaf()) return null;
-        
-        const descendants = [];
-        function collectDescendantLeaves(n) {
-            if (n.isLeaf()) {
-                descendants.push(n.label || n.id.toString());
-            } else {
-                n.children.forEach(child => collectDescendantLeaves(child));
-            }
-        }
-        collectDescendantLeaves(node);
-        
-        const complement = tipLabels.filter(label => !descendants.includes(label));
-        const split = [descendants.sort(), complement.sort()];
-        return split;
+    for (const { bits } of decomposition.splits.values()) {
+        const size = bits.cardinality();
+        const split = {
+            bits,
+            size,
+            clusteringInfo: splitClusteringInfo(size, numTaxa - size),
+            phylogeneticInfo: splitPhylogeneticInfo(size, numTaxa - size)
+        };
+        clusteringInfo += split.clusteringInfo;
+        phylogeneticInfo += split.phylogeneticInfo;
+        splits.push(split);
     }
     
-    function traverse(node) {
-        if (!node.isLeaf()) {
-            const split = getSplitForNode(node);
-            if (split && split[0].length > 0 && split[1].length > 0) {
-                splits.push(split);
-            }
-            node.children.forEach(child => traverse(child));
+    decomposition.information = { splits, clusteringInfo, phylogeneticInfo };
+    return decomposition.information;
+}
+
+/**
+ * Sizes of the four cells of the contingency table of two splits A1|B1 and A2|B2
+ */
+function splitOverlap(split1, split2, numTaxa) {
+    const aa = split1.bits.intersectionSize(split2.bits);
+    const ab = split1.size - aa;
+    const ba = split2.size - aa;
+    const bb = numTaxa - split1.size - split2.size + aa;
+    return [aa, ab, ba, bb];
+}
+
+function splitMutualInformation(split1, split2, numTaxa) {
+    const [aa, ab, ba, bb] = splitOverlap(split1, split2, numTaxa);
+    const a1 = split1.size;
+    const b1 = numTaxa - a1;
+    const a2 = split2.size;
+    const b2 = numTaxa - a2;
+    
+    let info = 0;
+    for (const [count, row, col] of [[aa, a1, a2], [ab, a1, b2], [ba, b1, a2], [bb, b1, b2]]) {
+        if (count > 0) {
+            info += (count / numTaxa) * Math.log2(count * numTaxa / (row * col));
         }
     }
+    return info;
+}
+
+function splitSharedInformation(split1, split2, numTaxa) {
+    const [aa, ab, ba, bb] = splitOverlap(split1, split2, numTaxa);
+    const a1 = split1.size;
+    const b1 = numTaxa - a1;
+    const a2 = split2.size;
+    const b2 = numTaxa - a2;
+    
+    // Compatible splits leave one cell empty: one side of each split is then
+    // nested in the other, leaving two disjoint outer parts and a middle part
+    let outer1;
+    let outer2;
+    if (aa === 0) {
+        [outer1, outer2] = [a1, a2];
+    } else if (ab === 0) {
+        [outer1, outer2] = [a1, b2];
+    } else if (ba === 0) {
+        [outer1, outer2] = [b1, a2];
+    } else if (bb === 0) {
+        [outer1, outer2] = [b1, b2];
+    } else {
+        return 0;
+    }
     
-    traverse(tree.root);
-    return splits;
+    const middle = numTaxa - outer1 - outer2;
+    const jointInfo = log2DoubleFactorial(2 * numTaxa - 5) - log2DoubleFactorial(2 * outer1 - 3) -
+        log2DoubleFactorial(2 * outer2 - 3) - log2DoubleFactorial(2 * middle - 1);
+    return split1.phylogeneticInfo + split2.phylogeneticInfo - jointInfo;
 }
 
-function areSplitsEqual(split1, split2) {
-    return (arraysEqual(split1[0], split2[0]) && arraysEqual(split1[1], split2[1])) ||
-           (arraysEqual(split1[0], split2[1]) && arraysEqual(split1[1], split2[0]));
+/**
+ * Path difference metric (Steel & Penny 1993): the Euclidean distance between
+ * the two trees' vectors of leaf-to-leaf path lengths, over the pairs of taxa
+ * present in both trees. In 'edges' mode a path is measured by its number of
+ * edges; in 'lengths' mode by the sum of its branch lengths, with a missing
+ * branch length counted as 0.
+ */
+export function calculatePathDistance(tree1, tree2, taxonMapping = createTaxonMapping([tree1, tree2]), mode = 'edges') {
+    if (mode !== 'edges' && mode !== 'lengths') {
+        throw new Error(`Unknown path difference mode "${mode}"`);
+    }
+    const paths1 = getPathVectors(tree1, taxonMapping)[mode];
+    const paths2 = getPathVectors(tree2, taxonMapping)[mode];
+    
+    let sum = 0;
+    for (let k = 0; k < paths1.length; k++) {
+        // NaN marks a pair with a taxon missing from either tree
+        const difference = paths1[k] - paths2[k];
+        if (!Number.isNaN(difference)) {
+            sum += difference * difference;
+        }
+    }
+    return Math.sqrt(sum);
 }
 
-function arraysEqual(a, b) {
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) {
-        if (a[i] !== b[i]) return false;
+/**
+ * Map every tip label found in the given trees to a bit index (sorted, as in CCD1.fromTrees)
+ * @param {Array<Tree>} trees - Trees whose taxa should be indexed
+ * @returns {Map<string, number>} Taxon label to bit index
+ */
+export function createTaxonMapping(trees) {
+    const allTaxa = new Set();
+    for (const tree of trees) {
+        for (const label of tree.getTipLabels()) {
+            allTaxa.add(label);
+        }
     }
-    return true;
+    
+    const taxonMapping = new Map();
+    Array.from(allTaxa).sort().forEach((taxon, index) => {
+        taxonMapping.set(taxon, index);
+    });
+    return taxonMapping;
 }
 
-function getAllPairwisePaths(tree) {
-    const paths = {};
-    const tips = [];
+/**
+ * Extract the non-trivial bipartitions of a tree as canonical bitsets.
+ * Each split is stored as the side that does not contain taxon 0, so both
+ * orientations of a bipartition hash to the same key. Edges that induce the
+ * same split (the two root edges, or either side of a unary node) have their
+ * branch lengths summed. When rooted, the clusters of the tree are returned
+ * instead (see getTreeClusters).
+ * @param {Tree} tree - The tree to decompose
+ * @param {Map<string, number>} taxonMapping - Taxon label to bit index
+ * @param {boolean} rooted - Return rooted clusters rather than unrooted splits
+ * @returns {Map<string, {bits: BitSet, length: number}>} Split key to canonical bitset and branch length
+ */
+export function getTreeSplits(tree, taxonMapping, rooted = false) {
+    return getSplitSystem(tree, taxonMapping, rooted).splits;
+}
+
+/**
+ * Extract the non-trivial clusters of a rooted tree as bitsets: the taxa
+ * below each internal node other than the root. Unlike splits, clusters are
+ * not canonicalised, so the two sides of the root give different clusters.
+ * @param {Tree} tree - The tree to decompose
+ * @param {Map<string, number>} taxonMapping - Taxon label to bit index
+ * @returns {Map<string, {bits: BitSet, length: number}>} Cluster key to bitset and branch length
+ */
+export function getTreeClusters(tree, taxonMapping) {
+    return getSplitSystem(tree, taxonMapping, true).splits;
+}
+
+/**
+ * Length of the pendant edge leading to each taxon, indexed by taxon index.
+ * Unrooted, the two root edges above a single taxon count as its pendant edge.
+ * @param {Tree} tree - The tree to decompose
+ * @param {Map<string, number>} taxonMapping - Taxon label to bit index
+ * @param {boolean} rooted - Whether the tree is treated as rooted
+ * @returns {Float64Array} Pendant edge length per taxon
+ */
+export function getPendantLengths(tree, taxonMapping, rooted = false) {
+    return getSplitSystem(tree, taxonMapping, rooted).pendantLengths;
+}
+
+/**
+ * The splits of a tree, unrooted, or its clusters, rooted, with pendant edge
+ * lengths. A rooted tree behaves as the unrooted tree with an extra leaf at
+ * the root, whose splits are the clusters (the side without the root leaf),
+ * so split metrics treat it as having numTaxa = n + 1 taxa.
+ * @returns {{numTaxa: number, splits: Map<string, {bits: BitSet, length: number}>, pendantLengths: Float64Array}}
+ */
+function getSplitSystem(tree, taxonMapping, rooted) {
+    const decomposition = decomposeTree(tree, taxonMapping);
+    return rooted ? decomposition.rooted : decomposition.unrooted;
+}
+
+function decomposeTree(tree, taxonMapping) {
+    const cached = splitCache.get(tree);
+    if (cached && cached.taxonMapping === taxonMapping) {
+        return cached;
+    }
+    
+    const numTaxa = taxonMapping.size;
+    const splits = new Map();
+    const clusters = new Map();
+    const pendantLengths = new Float64Array(numTaxa);
+    const leafLengths = new Float64Array(numTaxa);
     
-    // Collect all tip nodes
-    function collectTips(node) {
+    function collectSplits(node) {
+        const cladeInBits = new BitSet(numTaxa);
+        
         if (node.isLeaf()) {
-            tips.push(node);
+            const label = node.label || node.id.toString();
+            const index = taxonMapping.get(label);
+            if (index === undefined) {
+                throw new Error(`Taxon "${label}" not found in taxon mapping`);
+            }
+            cladeInBits.set(index);
         } else {
-            node.children.forEach(child => collectTips(child));
+            for (const child of node.children) {
+                cladeInBits.or(collectSplits(child));
+            }
+        }
+        
+        if (node !== tree.root) {
+            const length = node.branchLength || 0;
+            const size = cladeInBits.cardinality();
+            if (size > 1 && size < numTaxa) {
+                const key = cladeInBits.toKey();
+                const entry = clusters.get(key);
+                if (entry) {
+                    entry.length += length;
+                } else {
+                    clusters.set(key, { bits: cladeInBits.clone(), length });
+                }
+            }
+            if (size > 1 && size < numTaxa - 1) {
+                const split = cladeInBits.clone();
+                if (split.get(0)) {
+                    split.flip();
+                }
+                const key = split.toKey();
+                const entry = splits.get(key);
+                if (entry) {
+                    entry.length += length;
+                } else {
+                    splits.set(key, { bits: split, length });
+                }
+            } else if (size === 1) {
+                pendantLengths[cladeInBits.nextSetBit(0)] += length;
+                leafLengths[cladeInBits.nextSetBit(0)] += length;
+            } else if (size === numTaxa - 1) {
+                const missing = cladeInBits.clone();
+                missing.flip();
+                pendantLengths[missing.nextSetBit(0)] += length;
+            }
         }
+        
+        return cladeInBits;
     }
-    collectTips(tree.root);
     
-    // Calculate pairwise distances
-    for (let i = 0; i < tips.length; i++) {
-        for (let j = i + 1; j < tips.length; j++) {
-            const label1 = tips[i].label || tips[i].id.toString();
-            const label2 = tips[j].label || tips[j].id.toString();
-            const key = [label1, label2].sort().join('-');
-            
-            const mrca = tree.getMRCA([tips[i], tips[j]]);
-            const dist1 = getDistanceToAncestor(tips[i], mrca);
-            const dist2 = getDistanceToAncestor(tips[j], mrca);
-            
-            paths[key] = dist1 + dist2;
-        }
+    collectSplits(tree.root);
+    const decomposition = {
+        taxonMapping,
+        unrooted: { numTaxa, splits, pendantLengths },
+        rooted: { numTaxa: numTaxa + 1, splits: clusters, pendantLengths: leafLengths }
+    };
+    splitCache.set(tree, decomposition);
+    return decomposition;
+}
+
+/**
+ * Leaf-to-leaf path lengths of a tree for every pair of taxa i < j, in edges
+ * and in branch length. Each pair is visited once at its lowest common
+ * ancestor, where its path length is the sum of both leaves' depths below it.
+ */
+function getPathVectors(tree, taxonMapping) {
+    const cached = pathCache.get(tree);
+    if (cached && cached.taxonMapping === taxonMapping) {
+        return cached;
     }
     
-    return paths;
+    const numTaxa = taxonMapping.size;
+    const numPairs = numTaxa * (numTaxa - 1) / 2;
+    const edges = new Float64Array(numPairs).fill(NaN);
+    const lengths = new Float64Array(numPairs).fill(NaN);
+    
+    // Returns the leaves below the node with their depths from the root
+    const visit = (node, depth, height) => {
+        if (node.isLeaf()) {
+            const label = node.label || node.id.toString();
+            const taxon = taxonMapping.get(label);
+            if (taxon === undefined) {
+                throw new Error(`Taxon "${label}" not found in taxon mapping`);
+            }
+            return [{ taxon, depth, height }];
+        }
+        
+        const below = [];
+        for (const child of node.children) {
+            const leaves = visit(child, depth + 1, height + (child.branchLength || 0));
+            for (const a of below) {
+                for (const b of leaves) {
+                    const [i, j] = a.taxon < b.taxon ? [a.taxon, b.taxon] : [b.taxon, a.taxon];
+                    const index = i * (2 * numTaxa - i - 1) / 2 + (j - i - 1);
+                    edges[index] = a.depth + b.depth - 2 * depth;
+                    lengths[index] = a.height + b.height - 2 * height;
+                }
+            }
+            below.push(...leaves);
+        }
+        return below;
+    };
+    visit(tree.root, 0, 0);
+    
+    const vectors = { taxonMapping, edges, lengths };
+    pathCache.set(tree, vectors);
+    return vectors;
 }
 
-function getDistanceToAncestor(node, ancestor) {
-    let distance = 0;
-    let current = node;
+/**
+ * Returns, for a pair of tree indices, the two trees to compare and their
+ * taxon mapping. Trees on the full set of taxa share one mapping. If some
+ * trees lack taxa, either the matrix is rejected, since splits are only
+ * meaningful on a common taxon set, or with options.pairwiseTaxa each such
+ * pair is compared on copies pruned to the taxa both trees contain.
+ */
+function createPairResolver(trees, options) {
+    const taxonMapping = createTaxonMapping(trees);
+    const taxonSets = trees.map(tree => new Set(tree.getTipLabels()));
+    const complete = taxonSets.map(taxa => taxa.size === taxonMapping.size);
     
-    while (current !== ancestor && current !== null) {
-        distance += current.branchLength || 1;
-        current = current.parent;
+    if (!complete.every(Boolean) && !options.pairwiseTaxa) {
+        throw new Error('Trees have different taxon sets: prune them to the shared taxa first ' +
+            '(pruneToSharedTaxa) or compare each pair on its shared taxa (options.pairwiseTaxa)');
     }
     
-    return distance;
+    // Pruned copies and mappings are reused across pairs with the same shared taxa,
+    // so the per-tree caches keyed on tree and mapping still apply
+    const mappings = new Map();
+    const prunedTrees = new Map();
+    
+    return (i, j) => {
+        if (complete[i] && complete[j]) {
+            return { tree1: trees[i], tree2: trees[j], taxonMapping };
+        }
+        
+        const shared = Array.from(taxonSets[i]).filter(taxon => taxonSets[j].has(taxon)).sort();
+        const key = shared.join('\n');
+        if (!mappings.has(key)) {
+            mappings.set(key, new Map(shared.map((taxon, index) => [taxon, index])));
+        }
+        const restrict = (index) => {
+            if (taxonSets[index].size === shared.length) {
+                return trees[index];
+            }
+            const cacheKey = `${index}\n${key}`;
+            if (!prunedTrees.has(cacheKey)) {
+                prunedTrees.set(cacheKey, pruneTree(trees[index], new Set(shared)));
+            }
+            return prunedTrees.get(cacheKey);
+        };
+        return { tree1: restrict(i), tree2: restrict(j), taxonMapping: mappings.get(key) };
+    };
+}
+
+// Built-in metrics, in the order they are listed in the metric dropdown.
+// Each keeps its own per-tree cache, so none needs a precompute step.
+
+// Registers a metric together with its '-norm' variant
+function registerWithNormalized(name, label, definition, compute) {
+    for (const normalize of [false, true]) {
+        registerMetric(normalize ? `${name}-norm` : name, {
+            ...definition,
+            label: normalize ? `${label} (normalised)` : label,
+            compute: (tree1, tree2, taxonMapping, options) => compute(tree1, tree2, taxonMapping, options, normalize)
+        });
+    }
+}
+
+registerMetric('rf', {
+    label: 'Robinson-Foulds (RF)',
+    compute: (tree1, tree2, taxonMapping, options) => calculateRFDistance(tree1, tree2, taxonMapping, options.rooted)
+});
+registerMetric('wrf', {
+    label: 'Weighted Robinson-Foulds',
+    usesBranchLengths: true,
+    compute: (tree1, tree2, taxonMapping, options) => calculateWeightedRFDistance(tree1, tree2, taxonMapping, options.rooted)
+});
+registerMetric('kf', {
+    label: 'Branch Score (Kuhner-Felsenstein)',
+    usesBranchLengths: true,
+    compute: (tree1, tree2, taxonMapping, options) => calculateBranchScoreDistance(tree1, tree2, taxonMapping, options.rooted)
+});
+registerWithNormalized('cid', 'Clustering Information Distance', {}, (tree1, tree2, taxonMapping, options, normalize) =>
+    calculateClusteringInfoDistance(tree1, tree2, taxonMapping, normalize, options.rooted));
+registerWithNormalized('pid', 'Phylogenetic Information Distance', {}, (tree1, tree2, taxonMapping, options, normalize) =>
+    calculatePhylogeneticInfoDistance(tree1, tree2, taxonMapping, normalize, options.rooted));
+registerMetric('msd', {
+    label: 'Matching Split Distance',
+    rooted: false,
+    compute: (tree1, tree2, taxonMapping) => calculateMatchingSplitDistance(tree1, tree2, taxonMapping)
+});
+registerMetric('mcd', {
+    label: 'Matching Cluster Distance (rooted)',
+    rooted: true,
+    compute: (tree1, tree2, taxonMapping) => calculateMatchingClusterDistance(tree1, tree2, taxonMapping)
+});
+registerWithNormalized('quartet', 'Quartet Distance', { rooted: false }, (tree1, tree2, taxonMapping, options, normalize) =>
+    calculateQuartetDistance(tree1, tree2, taxonMapping, normalize));
+registerWithNormalized('triplet', 'Rooted Triplet Distance', { rooted: true }, (tree1, tree2, taxonMapping, options, normalize) =>
+    calculateTripletDistance(tree1, tree2, taxonMapping, normalize));
+for (const scale of [false, true]) {
+    registerMetric(scale ? 'bhv-scaled' : 'bhv', {
+        label: scale ? 'BHV Geodesic Distance (trees scaled to unit length)' : 'BHV Geodesic Distance',
+        usesBranchLengths: true,
+        compute: (tree1, tree2, taxonMapping, options) => computeBHVDistance(tree1, tree2, taxonMapping, {
+            timeLimit: options.timeLimit,
+            scale,
+            rooted: options.rooted
+        })
+    });
+}
+registerMetric('kc', {
+    label: 'Kendall-Colijn (KC)',
+    rooted: true,
+    usesBranchLengths: true,
+    compute: (tree1, tree2, taxonMapping, options) => calculateKCDistance(tree1, tree2, taxonMapping, options.lambda)
+});
+for (const [norm, label] of [['l1', 'L1'], ['l2', 'L2'], ['linf', 'L∞']]) {
+    registerMetric(`cophenetic-${norm}`, {
+        label: `Cophenetic MRCA ages (${label})`,
+        rooted: true,
+        usesBranchLengths: true,
+        compute: (tree1, tree2, taxonMapping) => calculateCopheneticDistance(tree1, tree2, taxonMapping, norm)
+    });
 }
+registerMetric('rnni', {
+    label: 'Ranked NNI (RNNI, time trees)',
+    rooted: true,
+    usesBranchLengths: true,
+    compute: (tree1, tree2, taxonMapping) => calculateRNNIDistance(tree1, tree2, taxonMapping)
+});
+registerMetric('rnni-dct', {
+    label: 'Discrete-time RNNI (DCT, binned node ages)',
+    rooted: true,
+    usesBranchLengths: true,
+    compute: (tree1, tree2, taxonMapping, options) => calculateDCTDistance(tree1, tree2, taxonMapping, options.binWidth)
+});
+registerMetric('spr', {
+    label: 'Subtree Prune and Regraft (SPR)',
+    rooted: true,
+    compute: (tree1, tree2, taxonMapping, options) =>
+        computeRootedSPR(tree1, tree2, taxonMapping, { timeLimit: options.timeLimit })
+});
+registerMetric('tbr', {
+    label: 'Tree Bisection and Reconnection (TBR)',
+    rooted: false,
+    compute: (tree1, tree2, taxonMapping, options) =>
+        computeTBR(tree1, tree2, taxonMapping, { timeLimit: options.timeLimit })
+});
+registerMetric('path', {
+    label: 'Path Difference (edge count)',
+    rooted: false,
+    compute: (tree1, tree2, taxonMapping) => calculatePathDistance(tree1, tree2, taxonMapping, 'edges')
+});
+registerMetric('path-length', {
+    label: 'Path Difference (branch length)',
+    rooted: false,
+    usesBranchLengths: true,
+    compute: (tree1, tree2, taxonMapping) => calculatePathDistance(tree1, tree2, taxonMapping, 'lengths')
+});
 
-export async function calculateDistanceMatrixWithProgress(trees, metric, progressCallback) {
+// Definitions registered above. Metrics registered later exist only in the
+// context that registered them, so distance workers cannot compute them.
+const builtInMetrics = new Set(getMetrics());
+
+/**
+ * Whether a metric is one of the built-in definitions, which every context
+ * (including distance workers) registers on loading this module
+ * @param {string} name - Metric identifier
+ * @returns {boolean}
+ */
+export function isBuiltInMetric(name) {
+    return builtInMetrics.has(getMetric(name));
+}
+
+/**
+ * Returns a function computing the distance between trees i and j with a
+ * registered metric. Per-tree data from the metric's precompute step is made
+ * once per tree and taxon mapping, and bounded results are reported through
+ * options.onBoundedDistance.
+ * @param {Array<Tree>} trees - Trees to compare
+ * @param {string} metric - Registered metric name
+ * @param {Object} options - Options of the matrix functions (see below)
+ * @returns {Function} (i, j) => distance
+ */
+export function createPairDistance(trees, metric, options) {
+    const definition = getMetric(metric);
+    const resolvePair = createPairResolver(trees, options);
+    
+    const precomputed = new Map();
+    const dataFor = (tree, taxonMapping) => {
+        const cached = precomputed.get(tree);
+        if (cached && cached.taxonMapping === taxonMapping) {
+            return cached.data;
+        }
+        const data = definition.precompute(tree, taxonMapping, options);
+        precomputed.set(tree, { taxonMapping, data });
+        return data;
+    };
+    
+    return (i, j) => {
+        const { tree1, tree2, taxonMapping } = resolvePair(i, j);
+        const result = definition.precompute ?
+            definition.compute(tree1, tree2, taxonMapping, options, dataFor(tree1, taxonMapping), dataFor(tree2, taxonMapping)) :
+            definition.compute(tree1, tree2, taxonMapping, options);
+        
+        if (typeof result === 'number') {
+            return result;
+        }
+        if (!result.exact && options.onBoundedDistance) {
+            options.onBoundedDistance(i, j, result);
+        }
+        return result.distance;
+    };
+}
+
+/**
+ * Options accepted by the matrix functions, and passed on to each metric:
+ *   timeLimit         - milliseconds per pair before SPR/TBR/BHV fall back to bounds
+ *   onBoundedDistance - called as (i, j, result) for each SPR/TBR/BHV pair that was only bounded
+ *   lambda            - Kendall-Colijn blend of topology (0) and branch lengths (1), default 0
+ *   binWidth          - length of one time bin of the DCT distance, default 1
+ *   rooted            - compare clusters instead of splits in RF, weighted RF, branch score,
+ *                       the information distances and BHV, default false
+ *   pairwiseTaxa      - compare each pair of trees on the taxa both contain, for trees with
+ *                       differing taxon sets; otherwise such trees are rejected (see pruneToSharedTaxa)
+ *   signal            - AbortSignal that stops calculateDistanceMatrixWithProgress with a
+ *                       CancelledError at its next yield to the UI
+ * Both return a DistanceMatrix.
+ */
+export async function calculateDistanceMatrixWithProgress(trees, metric, progressCallback, options = {}) {
     const n = trees.length;
-    const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
+    const matrix = new DistanceMatrix(n);
+    const pairDistance = createPairDistance(trees, metric, options);
     
     for (let i = 0; i < n; i++) {
         for (let j = i + 1; j < n; j++) {
@@ -148,59 +894,28 @@ export async function calculateDistanceMatrixWithProgress(trees, metric, progres
             
             // Allow UI to update
             if (j % 10 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
-            
-            let distance;
-            
-            switch(metric) {
-                case 'rf':
-                    distance = calculateRFDistance(trees[i], trees[j]);
-                    break;
-                case 'spr':
-                    distance = calculateSPRDistance(trees[i], trees[j]);
-                    break;
-                case 'path':
-                    distance = calculatePathDistance(trees[i], trees[j]);
-                    break;
-                default:
-                    distance = calculateRFDistance(trees[i], trees[j]);
+                await yieldToEventLoop(options.signal);
             }
             
-            matrix[i][j] = distance;
-            matrix[j][i] = distance;
+            matrix.set(i, j, pairDistance(i, j));
         }
     }
     
     return matrix;
 }
 
-export function calculateDistanceMatrix(trees, metric) {
+export function calculateDistanceMatrix(trees, metric, options = {}) {
     const n = trees.length;
-    const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
+    const matrix = new DistanceMatrix(n);
+    const pairDistance = createPairDistance(trees, metric, options);
     
+    // Pairs are visited in storage order
+    let k = 0;
     for (let i = 0; i < n; i++) {
         for (let j = i + 1; j < n; j++) {
-            let distance;
-            
-            switch(metric) {
-                case 'rf':
-                    distance = calculateRFDistance(trees[i], trees[j]);
-                    break;
-                case 'spr':
-                    distance = calculateSPRDistance(trees[i], trees[j]);
-                    break;
-                case 'path':
-                    distance = calculatePathDistance(trees[i], trees[j]);
-                    break;
-                default:
-                    distance = calculateRFDistance(trees[i], trees[j]);
-            }
-            
-            matrix[i][j] = distance;
-            matrix[j][i] = distance;
+            matrix.values[k++] = pairDistance(i, j);
         }
     }
     
     return matrix;
-}
\ No newline at end of file
+}
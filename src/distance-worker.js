@@ -0,0 +1,63 @@
+// distance-worker.js - Web Worker computing blocks of rows of a distance matrix
+import { createPairDistance } from './distance-metrics';
+import { deserializeTree } from './tree-serialization';
+
+// Minimum milliseconds between progress messages
+const PROGRESS_INTERVAL = 100;
+
+let pairDistance = null;
+let numTrees = 0;
+// Pairs of the current block that were only bounded
+let bounded = [];
+
+self.onmessage = (event) => {
+    const message = event.data;
+    try {
+        if (message.type === 'init') {
+            const trees = message.trees.map(deserializeTree);
+            numTrees = trees.length;
+            pairDistance = createPairDistance(trees, message.metric, {
+                ...message.options,
+                onBoundedDistance: (i, j, result) => bounded.push({ i, j, ...result })
+            });
+        } else if (message.type === 'block') {
+            computeBlock(message);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Distances for rows rowStart to rowEnd - 1 of the upper triangle, in row
+ * order, posted back with the pairs that were only bounded
+ */
+function computeBlock({ block, rowStart, rowEnd }) {
+    const count = pairsInRows(rowStart, rowEnd, numTrees);
+    const distances = new Float64Array(count);
+    bounded = [];
+    let k = 0;
+    let reported = 0;
+    let lastReport = Date.now();
+
+    for (let i = rowStart; i < rowEnd; i++) {
+        for (let j = i + 1; j < numTrees; j++) {
+            distances[k++] = pairDistance(i, j);
+            if (Date.now() - lastReport >= PROGRESS_INTERVAL) {
+                self.postMessage({ type: 'progress', pairs: k - reported });
+                reported = k;
+                lastReport = Date.now();
+            }
+        }
+    }
+
+    self.postMessage({ type: 'result', block, pairs: k - reported, distances, bounded }, [distances.buffer]);
+}
+
+function pairsInRows(rowStart, rowEnd, n) {
+    let count = 0;
+    for (let i = rowStart; i < rowEnd; i++) {
+        count += n - 1 - i;
+    }
+    return count;
+}
@@ -0,0 +1,286 @@
+// eigensolver.js - Leading eigenpairs of large symmetric matrices by the Lanczos method
+
+// Relative size of the Lanczos residual below which the Krylov space is taken to be invariant
+const BREAKDOWN = 1e-12;
+
+/**
+ * Leading eigenpairs of a symmetric, possibly indefinite, n x n matrix, given
+ * only as a function multiplying it with a vector. The Lanczos method builds
+ * an orthonormal basis of the Krylov space of a random start vector, in
+ * which the matrix is tridiagonal; the eigenpairs of that small matrix (Ritz
+ * pairs) approximate the extreme eigenpairs of the large one after far fewer
+ * than n steps. Each step costs one product and, as every new basis vector is
+ * reorthogonalised against all earlier ones, O(n * steps) for the basis.
+ *
+ * The basis grows until the largest `count` Ritz pairs have converged: the
+ * first `vectors` of them to `tolerance` (relative to the largest eigenvalue
+ * magnitude), the rest, of which only the values are used, to its square
+ * root, which gives eigenvalues of similar accuracy. If the Krylov space
+ * becomes invariant (as for low-rank matrices, e.g. distances among many
+ * copies of a few trees), its Ritz pairs are exact, but it holds only one
+ * eigenvector per distinct eigenvalue. The iteration then restarts with a
+ * fresh vector orthogonal to the basis, and stops once a restarted block's
+ * largest Ritz value has converged without exceeding the `count`-th largest
+ * found so far, since no further copy can change the wanted values. With
+ * options.full the iteration runs for n steps, restarting after every
+ * breakdown, so the Ritz values are the whole spectrum.
+ *
+ * @param {Function} multiply - Called as (v, out) to set out = A v, both Float64Arrays of length n
+ * @param {number} n - Size of the matrix
+ * @param {number} count - Number of largest eigenvalues wanted
+ * @param {Object} options
+ * @param {number} options.vectors - Number of leading eigenvectors wanted (default count)
+ * @param {number} options.tolerance - Relative residual of converged eigenvectors (default 1e-8)
+ * @param {boolean} options.full - Compute the whole spectrum (default false)
+ * @param {number} options.maxSteps - Largest Krylov space (default n)
+ * @returns {{values: Array<number>, vectors: Array<Float64Array>, ritzValues: Float64Array,
+ *   weights: Float64Array, complete: boolean, converged: boolean}} The largest eigenvalues,
+ *   largest first, and unit eigenvectors for the first options.vectors of them; all Ritz
+ *   values, largest first, with the squared components of the start vector along their
+ *   Ritz vectors; whether the Ritz values are the whole spectrum; and whether the
+ *   wanted pairs converged
+ */
+export function lanczosEigenpairs(multiply, n, count, options = {}) {
+    count = Math.min(count, n);
+    const numVectors = Math.min(options.vectors === undefined ? count : options.vectors, count);
+    const tolerance = options.tolerance || 1e-8;
+    const full = Boolean(options.full);
+    const maxSteps = Math.min(n, options.maxSteps || n);
+    if (n === 0) {
+        return { values: [], vectors: [], ritzValues: new Float64Array(0), weights: new Float64Array(0), complete: true, converged: true };
+    }
+
+    const basis = [];
+    const alpha = [];
+    const beta = [];
+    const w = new Float64Array(n);
+    // Rademacher start vector, so the weights give unbiased spectral estimates (see estimateTrace)
+    let q = Float64Array.from({ length: n }, () => (Math.random() < 0.5 ? -1 : 1) / Math.sqrt(n));
+    let scale = 0;
+    let checkAt = full ? maxSteps : Math.min(maxSteps, 2 * count + 20);
+    let decomposition = null;
+    let converged = false;
+    // First step of the Krylov space of the latest restart, or 0 before any breakdown
+    let blockStart = 0;
+
+    for (let step = 1; step <= maxSteps; step++) {
+        basis.push(q);
+        multiply(q, w);
+        alpha.push(dot(w, q));
+        // Gram-Schmidt against the whole basis, twice, removes the alpha and beta terms and rounding drift
+        orthogonalize(w, basis);
+        orthogonalize(w, basis);
+        let residual = Math.sqrt(dot(w, w));
+        scale = Math.max(scale, Math.abs(alpha[step - 1]) + residual);
+        const invariant = residual <= BREAKDOWN * scale;
+
+        if (step === checkAt || step === maxSteps || (invariant && !full)) {
+            decomposition = tridiagonalEigen(alpha, beta);
+            const blockResidual = invariant ? 0 : residual;
+            // The first invariant space may lack copies of a repeated eigenvalue, so only a restart can tell
+            converged = step === n ||
+                (isConverged(decomposition, blockResidual, count, numVectors, tolerance, scale) &&
+                (blockStart === 0 ? !invariant : blockExhausted(decomposition, alpha, beta, blockStart,
+                    blockResidual, count, tolerance, scale)));
+            if (converged || step === maxSteps) {
+                break;
+            }
+            if (step === checkAt) {
+                checkAt = Math.min(maxSteps, Math.ceil(1.5 * checkAt));
+            }
+        }
+
+        if (invariant) {
+            // The spectrum of the space so far is exact; carry on in the rest of the space
+            q = Float64Array.from({ length: n }, () => Math.random() - 0.5);
+            orthogonalize(q, basis);
+            orthogonalize(q, basis);
+            residual = 0;
+            blockStart = step;
+            const norm = Math.sqrt(dot(q, q));
+            for (let i = 0; i < n; i++) {
+                q[i] /= norm;
+            }
+        } else {
+            q = Float64Array.from(w, x => x / residual);
+        }
+        beta.push(residual);
+    }
+
+    const { values: ritzValues, vectors: ritz, size } = decomposition;
+    const order = Array.from(ritzValues.keys()).sort((a, b) => ritzValues[b] - ritzValues[a]);
+    const vectors = order.slice(0, numVectors).map(column => {
+        const vector = new Float64Array(n);
+        for (let j = 0; j < size; j++) {
+            const coefficient = ritz[j * size + column];
+            const basisVector = basis[j];
+            for (let i = 0; i < n; i++) {
+                vector[i] += coefficient * basisVector[i];
+            }
+        }
+        const norm = Math.sqrt(dot(vector, vector));
+        return vector.map(x => x / norm);
+    });
+
+    return {
+        values: order.slice(0, count).map(column => ritzValues[column]),
+        vectors,
+        ritzValues: Float64Array.from(order, column => ritzValues[column]),
+        weights: Float64Array.from(order, column => ritz[column] * ritz[column]),
+        complete: size === n,
+        converged
+    };
+}
+
+/**
+ * Estimate of the trace of f(A), the sum of f over all eigenvalues, from a
+ * Lanczos run (stochastic Lanczos quadrature): n times the quadrature of f
+ * with the Ritz values as nodes and the weights as weights. Exact when the
+ * run is complete; otherwise its relative error shrinks like 1/sqrt(n).
+ * @param {{ritzValues: Float64Array, weights: Float64Array}} result - Result of lanczosEigenpairs
+ * @param {number} n - Size of the matrix
+ * @param {Function} f - Function of an eigenvalue
+ * @returns {number}
+ */
+export function estimateTrace(result, n, f) {
+    if (result.complete) {
+        return result.ritzValues.reduce((sum, value) => sum + f(value), 0);
+    }
+    let sum = 0;
+    for (let i = 0; i < result.ritzValues.length; i++) {
+        sum += result.weights[i] * f(result.ritzValues[i]);
+    }
+    return n * sum;
+}
+
+// Whether the largest Ritz pairs have small enough residuals |beta * last component|
+function isConverged({ values, vectors, size }, residual, count, numVectors, tolerance, scale) {
+    const order = Array.from(values.keys()).sort((a, b) => values[b] - values[a]);
+    for (let k = 0; k < count && k < size; k++) {
+        const limit = (k < numVectors ? tolerance : Math.sqrt(tolerance)) * scale;
+        if (Math.abs(residual * vectors[(size - 1) * size + order[k]]) > limit) {
+            return false;
+        }
+    }
+    return count <= size;
+}
+
+// Whether the largest Ritz value of the latest restarted block has converged
+// without exceeding the count-th largest of all, so it adds no wanted eigenvalue
+function blockExhausted({ values }, alpha, beta, blockStart, residual, count, tolerance, scale) {
+    const block = tridiagonalEigen(alpha.slice(blockStart), beta.slice(blockStart));
+    let top = 0;
+    for (let k = 1; k < block.size; k++) {
+        if (block.values[k] > block.values[top]) {
+            top = k;
+        }
+    }
+    if (Math.abs(residual * block.vectors[(block.size - 1) * block.size + top]) > Math.sqrt(tolerance) * scale) {
+        return false;
+    }
+    const wanted = Float64Array.from(values).sort().reverse()[count - 1];
+    return block.values[top] <= wanted + tolerance * scale;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+function orthogonalize(w, basis) {
+    for (const b of basis) {
+        const c = dot(w, b);
+        for (let i = 0; i < w.length; i++) {
+            w[i] -= c * b[i];
+        }
+    }
+}
+
+/**
+ * Eigenvalues and eigenvectors of the symmetric tridiagonal matrix with
+ * diagonal alpha and off-diagonal beta, by the implicit QL method (tql2 of
+ * EISPACK, as in JAMA)
+ * @returns {{values: Float64Array, vectors: Float64Array, size: number}} Unsorted
+ *   eigenvalues, and the eigenvectors as the columns of a size x size row-major matrix
+ */
+function tridiagonalEigen(alpha, beta) {
+    const size = alpha.length;
+    const d = Float64Array.from(alpha);
+    const e = new Float64Array(size);
+    e.set(beta.slice(0, size - 1));
+    const V = new Float64Array(size * size);
+    for (let i = 0; i < size; i++) {
+        V[i * size + i] = 1;
+    }
+
+    let f = 0;
+    let tst1 = 0;
+    const eps = Number.EPSILON;
+    for (let l = 0; l < size; l++) {
+        // Find a small subdiagonal element
+        tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+        let m = l;
+        while (m < size - 1 && Math.abs(e[m]) > eps * tst1) {
+            m++;
+        }
+
+        // Unless d[l] is already an eigenvalue, iterate
+        if (m > l) {
+            do {
+                // Implicit shift
+                let g = d[l];
+                let p = (d[l + 1] - g) / (2 * e[l]);
+                let r = Math.hypot(p, 1);
+                if (p < 0) {
+                    r = -r;
+                }
+                d[l] = e[l] / (p + r);
+                d[l + 1] = e[l] * (p + r);
+                const dl1 = d[l + 1];
+                let h = g - d[l];
+                for (let i = l + 2; i < size; i++) {
+                    d[i] -= h;
+                }
+                f += h;
+
+                // Implicit QL transformation
+                p = d[m];
+                let c = 1;
+                let c2 = c;
+                let c3 = c;
+                const el1 = e[l + 1];
+                let s = 0;
+                let s2 = 0;
+                for (let i = m - 1; i >= l; i--) {
+                    c3 = c2;
+                    c2 = c;
+                    s2 = s;
+                    g = c * e[i];
+                    h = c * p;
+                    r = Math.hypot(p, e[i]);
+                    e[i + 1] = s * r;
+                    s = e[i] / r;
+                    c = p / r;
+                    p = c * d[i] - s * g;
+                    d[i + 1] = h + s * (c * g + s * d[i]);
+                    // Accumulate the transformation
+                    for (let k = 0; k < size; k++) {
+                        h = V[k * size + i + 1];
+                        V[k * size + i + 1] = s * V[k * size + i] + c * h;
+                        V[k * size + i] = c * V[k * size + i] - s * h;
+                    }
+                }
+                p = -s * s2 * c3 * el1 * e[l] / dl1;
+                e[l] = s * p;
+                d[l] = c * p;
+            } while (Math.abs(e[l]) > eps * tst1);
+        }
+        d[l] += f;
+        e[l] = 0;
+    }
+
+    return { values: d, vectors: V, size };
+}
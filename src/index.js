@@ -1,14 +1,34 @@
 import './styles.css';
-import { readTrees, readTreesAsync } from './tree-reader';
-import { calculateDistanceMatrix, calculateDistanceMatrixWithProgress } from './distance-metrics';
-import { classicalMDS } from './mds';
-import { plotMDS, displayDistanceMatrix } from './plot';
+import { readTreesAsync } from './tree-reader';
+import { calculateDistanceMatrixWithProgress, createTaxonMapping, getMetric, getMetrics } from './distance-metrics';
+import { calculateDistanceMatrixParallel } from './parallel-distance';
+import { isCancelled, yieldToEventLoop } from './cancellation';
+import { calculateKCComponentMatrix, kcDistanceMatrix } from './kendall-colijn';
+import { compareTaxonSets, pruneToSharedTaxa } from './taxon-reconciliation';
+import { classicalMDS, computeClassicalMDS, smacofMDS, nonMetricMDS } from './mds';
+import { calculateLandmarkDistances, landmarkDistanceMatrix, landmarkMDS } from './landmark-mds';
+import { tsne, umap } from './neighbour-embedding';
+import { procrustes, applyProcrustes } from './procrustes';
+import { plotMDS, plotScree, hideScree, plotSmallMultiples, hideSmallMultiples, displayDistanceMatrix } from './plot';
 import { CCD1, computeCCDStatistics, calculateWithinChainDissonance, formatDissonanceResults } from './ccd';
 import Plotly from 'plotly.js-dist';
 
 let trees = [];
 let fileContent = '';
 let currentCCD = null;
+// KC components of the last KC run, so a lambda change only redoes the MDS
+let lastKC = null;
+// AbortController of the running analysis, aborted by the Cancel button
+let currentTask = null;
+// Coordinates and labels of the last plot, onto which the next one is aligned
+let lastEmbedding = null;
+
+// Metrics of the small-multiples comparison; the first is the reference the others are aligned onto
+const COMPARISON_METRICS = [
+    { name: 'rf', title: 'RF' },
+    { name: 'spr', title: 'SPR' },
+    { name: 'path', title: 'Path difference' }
+];
 
 // DOM elements
 const treeFileInput = document.getElementById('treeFile');
@@ -19,6 +39,11 @@ const errorMsg = document.getElementById('errorMsg');
 const loadingMsg = document.getElementById('loadingMsg');
 const matrixToggle = document.getElementById('matrixToggle');
 const distanceMatrixDiv = document.getElementById('distanceMatrix');
+const kcLambdaInput = document.getElementById('kcLambda');
+const metricSelect = document.getElementById('distanceMetric');
+const rootedCheckbox = document.getElementById('rootedTrees');
+const rootedTitle = rootedCheckbox.parentElement.title;
+const cancelBtn = document.getElementById('cancelBtn');
 
 // Event listeners
 treeFileInput.addEventListener('change', handleFileUpload);
@@ -30,6 +55,30 @@ if (checkMixingBtn) {
     checkMixingBtn.addEventListener('click', checkMixing);
 }
 matrixToggle.addEventListener('click', toggleMatrix);
+kcLambdaInput.addEventListener('change', updateKCLambda);
+metricSelect.addEventListener('change', updateRootedSetting);
+cancelBtn.addEventListener('click', cancelTask);
+
+populateMetricSelect();
+
+// List every registered metric in the dropdown
+function populateMetricSelect() {
+    for (const metric of getMetrics()) {
+        const option = document.createElement('option');
+        option.value = metric.name;
+        option.textContent = metric.label;
+        metricSelect.appendChild(option);
+    }
+    updateRootedSetting();
+}
+
+// Metrics with a fixed notion of rootedness ignore the rooted setting
+function updateRootedSetting() {
+    const metric = getMetric(metricSelect.value);
+    rootedCheckbox.disabled = metric.rooted !== null;
+    rootedCheckbox.parentElement.title = metric.rooted === null ? rootedTitle :
+        `${metric.label} always compares ${metric.rooted ? 'rooted' : 'unrooted'} trees`;
+}
 
 function handleFileUpload(e) {
     const file = e.target.files[0];
@@ -47,6 +96,8 @@ function handleFileUpload(e) {
             hideError();
             // Clear previous results
             currentCCD = null;
+            lastKC = null;
+            lastEmbedding = null;
             const ccdStats = document.getElementById('ccdStats');
             if (ccdStats) {
                 ccdStats.classList.add('hidden');
@@ -76,10 +127,167 @@ function hideLoading() {
     document.getElementById('loadingMsg').style.display = 'none';
 }
 
+// Start an analysis: only one runs at a time, and Cancel aborts the returned signal
+function startTask() {
+    currentTask = new AbortController();
+    cancelBtn.disabled = false;
+    for (const button of [calculateBtn, computeCCDBtn, checkMixingBtn]) {
+        if (button) {
+            button.disabled = true;
+        }
+    }
+    return currentTask.signal;
+}
+
+function finishTask() {
+    currentTask = null;
+    for (const button of [calculateBtn, computeCCDBtn, checkMixingBtn]) {
+        if (button) {
+            button.disabled = !fileContent;
+        }
+    }
+    updateProgress('');
+}
+
+function cancelTask() {
+    if (currentTask) {
+        currentTask.abort();
+        cancelBtn.disabled = true;
+        updateProgress('Cancelling...');
+    }
+}
+
 function toggleMatrix() {
     distanceMatrixDiv.classList.toggle('hidden');
 }
 
+function readKCLambda() {
+    const lambda = parseFloat(kcLambdaInput.value);
+    if (!(lambda >= 0 && lambda <= 1)) {
+        throw new Error('KC lambda must be between 0 and 1');
+    }
+    return lambda;
+}
+
+// Re-embed the last KC run at the new lambda without re-reading the trees
+function updateKCLambda() {
+    if (!lastKC || metricSelect.value !== 'kc' || document.getElementById('mdsMethod').value !== 'classical') {
+        return;
+    }
+    hideError();
+    try {
+        const distances = kcDistanceMatrix(lastKC.components, readKCLambda());
+        displayDistanceMatrix(distances, lastKC.treeLabels);
+        showClassicalMDS(distances, lastKC.treeLabels, readDimensions());
+    } catch (error) {
+        showError(error.message);
+        console.error(error);
+    }
+}
+
+function readDimensions() {
+    return parseInt(document.getElementById('mdsDimensions').value) || 2;
+}
+
+// Classical MDS with its scree plot; returns the spectrum and alignment for the processing summary
+function showClassicalMDS(distances, treeLabels, dimensions) {
+    const result = computeClassicalMDS(distances, dimensions);
+    const { coords, alignment } = alignToPrevious(result.coords, treeLabels);
+    plotMDS(coords, treeLabels);
+    plotScree(result, dimensions);
+    return { ...result, coords, alignment };
+}
+
+/**
+ * Align coordinates onto the last plot, if asked to, by Procrustes over the
+ * trees both plots contain (matched by label), and remember them for the next
+ * @returns {{coords: Array<Array<number>>, alignment: {disparity: number, shared: number}}}
+ *   The coordinates, aligned or not, and the disparity and number of shared trees (null if not aligned)
+ */
+function alignToPrevious(coords, treeLabels) {
+    const previous = lastEmbedding;
+    let alignment = null;
+    if (previous && document.getElementById('alignPrevious').checked &&
+        coords.length > 0 && previous.coords[0].length === coords[0].length) {
+        const position = new Map(previous.labels.map((label, i) => [label, i]));
+        const shared = [];
+        treeLabels.forEach((label, i) => {
+            if (position.has(label)) {
+                shared.push([position.get(label), i]);
+            }
+        });
+        // Fewer points than dimensions + 1 fit any orientation
+        if (shared.length > coords[0].length) {
+            const fit = procrustes(shared.map(([j]) => previous.coords[j]), shared.map(([, i]) => coords[i]));
+            coords = applyProcrustes(fit.transform, coords);
+            alignment = { disparity: fit.disparity, shared: shared.length };
+        }
+    }
+    lastEmbedding = { coords, labels: treeLabels };
+    return { coords, alignment };
+}
+
+// Classical MDS of the same trees by each comparison metric, aligned onto the first, drawn as small multiples
+async function showMetricComparison(selectedTrees, treeLabels, metric, distances, options, progressCallback) {
+    const panels = [];
+    for (const { name, title } of COMPARISON_METRICS) {
+        let matrix = distances;
+        if (name !== metric) {
+            showLoading(`Calculating ${name.toUpperCase()} distances for the metric comparison...`);
+            matrix = await calculateDistanceMatrixParallel(selectedTrees, name, progressCallback,
+                { ...options, onBoundedDistance: undefined });
+        }
+        const coords = classicalMDS(matrix, 2);
+        if (panels.length === 0) {
+            panels.push({ title, coords, disparity: null });
+        } else {
+            const fit = procrustes(panels[0].coords, coords);
+            panels.push({ title, coords: fit.coords, disparity: fit.disparity });
+        }
+    }
+    plotSmallMultiples(panels, treeLabels);
+    return panels;
+}
+
+// t-SNE or UMAP of a full distance matrix; returns the coordinates with a description for the processing summary
+async function runNeighbourEmbedding(mdsMethod, distances, dimensions, signal) {
+    const seed = parseInt(document.getElementById('embeddingSeed').value) || 0;
+    if (mdsMethod === 'tsne') {
+        const perplexity = parseFloat(document.getElementById('tsnePerplexity').value) || 30;
+        const result = await tsne(distances, {
+            perplexity,
+            dimensions,
+            seed,
+            signal,
+            progressCallback: (iteration, iterations, klDivergence) => {
+                updateProgress(`t-SNE iteration ${iteration} of ${iterations}, KL divergence ${klDivergence.toFixed(4)}`);
+            }
+        });
+        return {
+            coords: result.coords,
+            method: 't-SNE',
+            settings: `perplexity ${Number(result.perplexity.toFixed(1))}, KL divergence ${result.klDivergence.toFixed(4)}`,
+            seed
+        };
+    }
+    const neighbours = parseInt(document.getElementById('umapNeighbours').value) || 15;
+    const minDist = parseFloat(document.getElementById('umapMinDist').value);
+    const result = await umap(distances, {
+        neighbours,
+        minDist: minDist >= 0 ? minDist : undefined,
+        dimensions,
+        seed,
+        signal,
+        progressCallback: (epoch, epochs) => updateProgress(`UMAP epoch ${epoch} of ${epochs}`)
+    });
+    return {
+        coords: result.coords,
+        method: 'UMAP',
+        settings: `${result.neighbours} neighbours, min dist ${minDist >= 0 ? minDist : 0.1}`,
+        seed
+    };
+}
+
 async function calculateMDS() {
     hideError();
     showLoading('Processing trees...');
@@ -88,15 +296,29 @@ async function calculateMDS() {
     const existingNotes = document.querySelectorAll('.sampling-note');
     existingNotes.forEach(note => note.remove());
     
-    setTimeout(() => {
+    const signal = startTask();
+    
+    setTimeout(async () => {
         try {
             const format = document.getElementById('fileFormat').value;
-            const metric = document.getElementById('distanceMetric').value;
+            const metric = metricSelect.value;
             const maxTrees = parseInt(document.getElementById('maxTrees').value) || 500;
             const burninPercent = parseInt(document.getElementById('burnin').value) || 0;
+            const timeLimit = (parseFloat(document.getElementById('timeLimit').value) || 1) * 1000;
+            const binWidth = parseFloat(document.getElementById('dctBinWidth').value);
+            const rooted = rootedCheckbox.checked;
+            const mdsMethod = document.getElementById('mdsMethod').value;
+            const dimensions = readDimensions();
+            const landmark = mdsMethod === 'landmark';
+            const numLandmarks = parseInt(document.getElementById('numLandmarks').value) || 100;
+            const landmarkSelection = document.getElementById('landmarkSelection').value;
             
-            // Read trees
-            trees = readTrees(fileContent, format);
+            // Read trees with progress
+            const readProgressCallback = async (message) => {
+                showLoading(message);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            };
+            trees = await readTreesAsync(fileContent, format, readProgressCallback, signal);
             
             if (trees.length < 2) {
                 throw new Error('At least 2 trees are required for MDS analysis');
@@ -116,11 +338,12 @@ async function calculateMDS() {
                 throw new Error(`After ${burninPercent}% burnin, only ${treesAfterBurnin.length} trees remain. At least 2 trees are required.`);
             }
             
-            // Thin trees if necessary
+            // Thin trees if necessary; landmark MDS embeds them all
             let selectedTrees = treesAfterBurnin;
             let treeLabels;
+            const thinned = !landmark && treesAfterBurnin.length > maxTrees;
             
-            if (treesAfterBurnin.length > maxTrees) {
+            if (thinned) {
                 showLoading(`Randomly sampling ${maxTrees} trees from ${treesAfterBurnin.length} post-burnin trees...`);
                 const indices = randomSample(treesAfterBurnin.length, maxTrees);
                 selectedTrees = indices.map(i => treesAfterBurnin[i]);
@@ -131,20 +354,119 @@ async function calculateMDS() {
                 treeLabels = treesAfterBurnin.map((_, i) => `Tree ${i + burninCount + 1}`);
             }
             
-            showLoading(`Calculating ${metric.toUpperCase()} distances for ${selectedTrees.length} trees...`);
-            
-            // Calculate distance matrix
-            const distances = calculateDistanceMatrix(selectedTrees, metric);
+            // Reconcile differing taxon sets, e.g. gene trees that each miss a few taxa
+            const taxonMode = document.getElementById('taxonMode').value;
+            const taxonComparison = compareTaxonSets(selectedTrees);
+            const pairwiseTaxa = !taxonComparison.consistent && taxonMode === 'pairwise';
+            let droppedTaxa = [];
+            if (!taxonComparison.consistent && taxonMode === 'prune') {
+                if (taxonComparison.sharedTaxa.length < 3) {
+                    throw new Error(`Only ${taxonComparison.sharedTaxa.length} taxa are shared by all selected trees. ` +
+                        'Try comparing each pair on its shared taxa instead.');
+                }
+                showLoading(`Pruning trees to the ${taxonComparison.sharedTaxa.length} shared taxa...`);
+                const reconciled = pruneToSharedTaxa(selectedTrees);
+                selectedTrees = reconciled.trees;
+                droppedTaxa = reconciled.dropped;
+            }
             
-            // Display distance matrix
-            displayDistanceMatrix(distances, treeLabels);
+            // Calculate distances, keeping track of SPR/TBR/BHV pairs that were only bounded
+            const boundedPairs = [];
+            const lambda = metric === 'kc' ? readKCLambda() : 0;
+            const options = {
+                timeLimit,
+                rooted,
+                lambda,
+                binWidth,
+                pairwiseTaxa,
+                signal,
+                onBoundedDistance: (i, j, result) => boundedPairs.push({ i, j, ...result })
+            };
+            const progressCallback = (pairsDone, totalPairs) => {
+                const percent = Math.floor(100 * pairsDone / totalPairs);
+                updateProgress(`${percent}% complete (${pairsDone.toLocaleString()} of ${totalPairs.toLocaleString()} pairs)`);
+            };
+            let coords;
+            let landmarkCount = 0;
+            let fit = null;
+            let spectrum = null;
+            let neighbourhood = null;
+            let comparison = null;
+            let distances = null;
+            hideScree();
+            hideSmallMultiples();
+            lastKC = null;
+            if (landmark) {
+                landmarkCount = Math.min(numLandmarks, selectedTrees.length);
+                showLoading(`Calculating ${metric.toUpperCase()} distances from ${landmarkCount} landmarks to ${selectedTrees.length} trees...`);
+                const landmarkDistances = await calculateLandmarkDistances(selectedTrees, metric, numLandmarks, progressCallback,
+                    { ...options, landmarkSelection });
+                
+                // Only the distances among the landmarks form a matrix to display
+                const position = new Map(landmarkDistances.landmarks.map((tree, index) => [tree, index]));
+                const landmarkBounds = boundedPairs
+                    .filter(pair => position.has(pair.i) && position.has(pair.j))
+                    .map(pair => ({ ...pair, i: position.get(pair.i), j: position.get(pair.j) }));
+                displayDistanceMatrix(landmarkDistanceMatrix(landmarkDistances),
+                    landmarkDistances.landmarks.map(i => treeLabels[i]), landmarkBounds);
+                
+                showLoading('Performing landmark MDS analysis...');
+                coords = landmarkMDS(landmarkDistances, dimensions);
+            } else {
+                showLoading(`Calculating ${metric.toUpperCase()} distances for ${selectedTrees.length} trees...`);
+
+                if (metric === 'kc' && !pairwiseTaxa) {
+                    const components = await calculateKCComponentMatrix(selectedTrees, createTaxonMapping(selectedTrees),
+                        progressCallback, { signal });
+                    // Only classical MDS is quick enough to redo on every lambda change
+                    lastKC = mdsMethod === 'classical' ? { components, treeLabels } : null;
+                    distances = kcDistanceMatrix(components, lambda);
+                } else {
+                    distances = await calculateDistanceMatrixParallel(selectedTrees, metric, progressCallback, options);
+                }
+                
+                // Display distance matrix
+                displayDistanceMatrix(distances, treeLabels, boundedPairs);
+                
+                // Perform MDS
+                showLoading('Performing MDS analysis...');
+                if (mdsMethod === 'classical') {
+                    spectrum = showClassicalMDS(distances, treeLabels, dimensions);
+                } else if (mdsMethod === 'tsne' || mdsMethod === 'umap') {
+                    neighbourhood = await runNeighbourEmbedding(mdsMethod, distances, dimensions, signal);
+                    coords = neighbourhood.coords;
+                } else {
+                    const embed = mdsMethod === 'nonmetric' ? nonMetricMDS : smacofMDS;
+                    const restarts = parseInt(document.getElementById('smacofRestarts').value) || 1;
+                    const tolerance = parseFloat(document.getElementById('smacofTolerance').value);
+                    fit = await embed(distances, {
+                        init: document.getElementById('smacofInit').value,
+                        restarts,
+                        dimensions,
+                        tolerance: tolerance >= 0 ? tolerance : undefined,
+                        signal,
+                        progressCallback: (run, iteration, stress) => {
+                            const runText = restarts > 1 ? `run ${run + 1} of ${restarts}, ` : '';
+                            updateProgress(`${runText}iteration ${iteration}, stress-1 ${stress.toFixed(4)}`);
+                        }
+                    });
+                    coords = fit.coords;
+                }
+            }
             
-            // Perform MDS
-            showLoading('Performing MDS analysis...');
-            const coords = classicalMDS(distances);
+            // Plot results (classical MDS has already been plotted with its scree plot)
+            let alignment = spectrum ? spectrum.alignment : null;
+            if (!spectrum) {
+                const aligned = alignToPrevious(coords, treeLabels);
+                alignment = aligned.alignment;
+                plotMDS(aligned.coords, treeLabels, neighbourhood ? neighbourhood.method : 'MDS');
+            }
             
-            // Plot results
-            plotMDS(coords, treeLabels);
+            // Small multiples of the same trees by RF, SPR and path distance
+            const compareMetrics = document.getElementById('compareMetrics').checked;
+            if (compareMetrics && distances) {
+                comparison = await showMetricComparison(selectedTrees, treeLabels, metric, distances, options, progressCallback);
+            }
             
             hideLoading();
             
@@ -159,23 +481,115 @@ async function calculateMDS() {
                 noteText += `<li>Burnin: ${burninCount} trees (${burninPercent}%)</li>`;
                 noteText += `<li>Trees after burnin: ${treesAfterBurnin.length}</li>`;
             }
-            if (treesAfterBurnin.length > maxTrees) {
+            if (thinned) {
                 noteText += `<li>Randomly sampled: ${maxTrees} trees</li>`;
             }
             noteText += `<li>Trees analyzed: ${selectedTrees.length}</li>`;
+            if (landmark) {
+                noteText += `<li>Landmark MDS: ${landmarkCount} ${landmarkSelection === 'maxmin' ? 'max-min' : 'random'} landmarks; ` +
+                    'the distance matrix shows the distances among them</li>';
+            }
+            if (spectrum) {
+                const shown = spectrum.varianceProportions.slice(0, dimensions).reduce((sum, share) => sum + share, 0);
+                noteText += `<li>Variance shown by the ${dimensions} MDS axes: ${(100 * shown).toFixed(1)}% (` +
+                    spectrum.varianceProportions.slice(0, dimensions).map(share => `${(100 * share).toFixed(1)}%`).join(', ') + ')</li>';
+                const { count, ratio, largestRatio } = spectrum.negative;
+                const about = spectrum.estimated ? 'about ' : '';
+                if (!spectrum.converged) {
+                    noteText += '<li>The eigensolver stopped before the leading eigenvalues converged: ' +
+                        'the coordinates and eigen-spectrum are approximate</li>';
+                }
+                if (spectrum.estimated) {
+                    noteText += `<li>Eigen-spectrum: the ${spectrum.eigenvalues.length} leading eigenvalues computed; ` +
+                        'variance shares and the negative part are estimates</li>';
+                }
+                noteText += count > 0 ?
+                    `<li>Negative eigenvalues: ${about}${count}, ${about}${(100 * ratio).toFixed(1)}% of the spectrum ` +
+                        `(the most negative is ${(100 * largestRatio).toFixed(1)}% of the largest), so the distances are not Euclidean</li>` :
+                    '<li>No negative eigenvalues: the distances are Euclidean</li>';
+            }
+            if (alignment) {
+                noteText += `<li>Aligned to the previous plot by Procrustes over ${alignment.shared} shared trees: ` +
+                    `disparity ${alignment.disparity.toFixed(4)}</li>`;
+            }
+            if (comparison) {
+                noteText += `<li>Metric comparison (classical MDS, aligned onto ${comparison[0].title}): ` +
+                    comparison.slice(1).map(panel => `${panel.title} disparity ${panel.disparity.toFixed(4)}`).join(', ') + '</li>';
+            } else if (compareMetrics) {
+                noteText += '<li>The RF / SPR / path comparison needs full distance matrices, so it is not drawn for landmark MDS</li>';
+            }
+            if (neighbourhood) {
+                noteText += `<li>${neighbourhood.method}: ${neighbourhood.settings}, seed ${neighbourhood.seed}. ` +
+                    'Nearby trees and separate islands are shown faithfully; distances between islands are not</li>';
+            }
+            if (fit) {
+                noteText += `<li>${mdsMethod === 'nonmetric' ? 'Non-metric' : 'Metric SMACOF'} MDS stress-1: ${fit.stress.toFixed(4)}` +
+                    (fit.stresses.length > 1 ? ` (best of ${fit.stresses.length} runs)` : '') +
+                    (fit.converged ? '' : `, not converged after ${fit.iterations} iterations`) + '</li>';
+            }
+            if (rooted && getMetric(metric).rooted === null) {
+                noteText += '<li>Trees treated as rooted: split-based metrics compare clusters</li>';
+            }
+            if (getMetric(metric).usesBranchLengths && !hasBranchLengths(selectedTrees)) {
+                noteText += '<li>The trees have no branch lengths, which this metric counts as 0</li>';
+            }
+            if (droppedTaxa.length > 0) {
+                noteText += `<li>Taxon sets differ: all trees pruned to the ${taxonComparison.sharedTaxa.length} shared taxa. ` +
+                    'Taxa dropped:' + formatTaxonList(droppedTaxa, treeLabels) + '</li>';
+            } else if (pairwiseTaxa) {
+                const missing = taxonComparison.missing
+                    .map((taxa, tree) => ({ tree, taxa }))
+                    .filter(entry => entry.taxa.length > 0);
+                noteText += '<li>Taxon sets differ: each pair of trees compared on the taxa both contain. ' +
+                    'Taxa missing:' + formatTaxonList(missing, treeLabels) + '</li>';
+            }
+            if (boundedPairs.length > 0) {
+                noteText += `<li>${metric.toUpperCase()} time limit reached for ${boundedPairs.length} pairs: ` +
+                    'shown as lower–upper bounds in the matrix, upper bounds used for MDS</li>';
+            }
             noteText += '</ul>';
             
             processingNote.innerHTML = noteText;
             infoDiv.insertBefore(processingNote, infoDiv.firstChild);
             
         } catch (error) {
-            showError(error.message);
-            console.error(error);
+            // An incomplete matrix or embedding is not worth showing, so a cancelled run leaves nothing
+            showError(isCancelled(error) ? 'MDS analysis cancelled' : error.message);
+            if (!isCancelled(error)) {
+                console.error(error);
+            }
             hideLoading();
+        } finally {
+            finishTask();
         }
     }, 10);
 }
 
+function hasBranchLengths(trees) {
+    return trees.some(tree => tree.root.children.some(function hasLength(node) {
+        return node.branchLength !== undefined || node.children.some(hasLength);
+    }));
+}
+
+// Nested list of taxa per tree, e.g. for taxa dropped when reconciling taxon sets
+function formatTaxonList(entries, treeLabels, maxEntries = 20) {
+    let html = '<ul>';
+    for (const { tree, taxa } of entries.slice(0, maxEntries)) {
+        html += `<li>${escapeHtml(treeLabels[tree])}: ${taxa.map(escapeHtml).join(', ')}</li>`;
+    }
+    if (entries.length > maxEntries) {
+        html += `<li>... and ${entries.length - maxEntries} more trees</li>`;
+    }
+    return html + '</ul>';
+}
+
+// Taxon names come from the uploaded file, so they must not be read as markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, character => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[character]);
+}
+
 // Helper function to randomly sample indices
 function randomSample(n, k) {
     // Fisher-Yates shuffle variant for sampling
@@ -201,6 +615,7 @@ function updateProgress(message) {
 async function computeCCD() {
     hideError();
     showLoading('Reading trees...');
+    const signal = startTask();
     
     await new Promise(resolve => setTimeout(resolve, 10));
     
@@ -215,7 +630,7 @@ async function computeCCD() {
         };
         
         // Read all trees with progress
-        trees = await readTreesAsync(fileContent, format, readProgressCallback);
+        trees = await readTreesAsync(fileContent, format, readProgressCallback, signal);
         
         if (trees.length < 2) {
             throw new Error('At least 2 trees are required for CCD analysis');
@@ -236,7 +651,8 @@ async function computeCCD() {
             }
         };
         
-        currentCCD = await CCD1.fromTreesAsync(trees, burnin, progressCallback);
+        currentCCD = null;
+        currentCCD = await CCD1.fromTreesAsync(trees, burnin, progressCallback, signal);
         
         showLoading('Computing CCD statistics...');
         await new Promise(resolve => setTimeout(resolve, 0));
@@ -262,6 +678,7 @@ async function computeCCD() {
             showLoading('Computing clade probabilities...');
             await new Promise(resolve => setTimeout(resolve, 0));
             currentCCD.computeCladeProbabilitiesIfDirty();
+            await yieldToEventLoop(signal);
             
             // Compute entropy
             showLoading('Computing phylogenetic entropy...');
@@ -285,8 +702,11 @@ async function computeCCD() {
                     }
                 };
                 
-                stats.entropyLewis = currentCCD.getEntropyLewis(lewisProgressCallback);
+                stats.entropyLewis = await currentCCD.getEntropyLewisAsync(lewisProgressCallback, signal);
             } catch (error) {
+                if (isCancelled(error)) {
+                    throw error;
+                }
                 console.error('Error computing Lewis entropy:', error);
                 stats.entropyLewis = NaN;
             }
@@ -308,9 +728,12 @@ async function computeCCD() {
                     }
                 };
                 
-                stats.maxLogTreeProbability = currentCCD.getMaxLogTreeProbability(maxProbProgressCallback);
-                stats.maxTreeProbability = currentCCD.getMaxTreeProbability();
+                stats.maxLogTreeProbability = await currentCCD.getMaxLogTreeProbabilityAsync(maxProbProgressCallback, signal);
+                stats.maxTreeProbability = Math.exp(stats.maxLogTreeProbability);
             } catch (error) {
+                if (isCancelled(error)) {
+                    throw error;
+                }
                 console.error('Error computing max tree probability:', error);
                 stats.maxLogTreeProbability = NaN;
                 stats.maxTreeProbability = NaN;
@@ -329,12 +752,22 @@ async function computeCCD() {
                 occurrences: clade.getNumberOfOccurrences()
             }));
         } catch (error) {
-            console.error('Error computing CCD statistics:', error);
-            // Return partial statistics
-            stats.entropy = NaN;
-            stats.entropyLewis = NaN;
-            stats.maxTreeProbability = NaN;
-            stats.maxLogTreeProbability = NaN;
+            if (isCancelled(error)) {
+                // Keep the statistics computed before cancelling
+                stats.cancelled = true;
+                for (const key of ['entropy', 'entropyLewis', 'maxTreeProbability', 'maxLogTreeProbability']) {
+                    if (stats[key] === undefined) {
+                        stats[key] = NaN;
+                    }
+                }
+            } else {
+                console.error('Error computing CCD statistics:', error);
+                // Return partial statistics
+                stats.entropy = NaN;
+                stats.entropyLewis = NaN;
+                stats.maxTreeProbability = NaN;
+                stats.maxLogTreeProbability = NaN;
+            }
             stats.topClades = [];
         }
         
@@ -358,7 +791,10 @@ async function computeCCD() {
         
         noteText += `<li>Trees used: ${trees.length - burninCount}</li>`;
         noteText += `<li>Number of clades: ${stats.numberOfClades}</li>`;
-        noteText += `<li>Phylogenetic entropy: ${stats.entropy.toFixed(4)}</li>`;
+        noteText += `<li>Phylogenetic entropy: ${formatStatistic(stats.entropy, value => value.toFixed(4))}</li>`;
+        if (stats.cancelled) {
+            noteText += '<li>Cancelled: statistics not computed yet are shown as N/A</li>';
+        }
         noteText += '</ul>';
         
         processingNote.innerHTML = noteText;
@@ -370,12 +806,22 @@ async function computeCCD() {
         infoDiv.insertBefore(processingNote, infoDiv.firstChild);
         
     } catch (error) {
-        showError(error.message);
-        console.error(error);
+        // Cancelled while reading trees or building the CCD: there is nothing to show yet
+        showError(isCancelled(error) ? 'CCD construction cancelled' : error.message);
+        if (!isCancelled(error)) {
+            console.error(error);
+        }
         hideLoading();
+    } finally {
+        finishTask();
     }
 }
 
+// N/A for statistics that were skipped, failed or cancelled
+function formatStatistic(value, format) {
+    return isNaN(value) ? 'N/A' : format(value);
+}
+
 // Add the displayCCDStatistics function if it's not in plot.js
 function displayCCDStatistics(stats) {
     const statsDiv = document.getElementById('ccdStats');
@@ -405,7 +851,7 @@ function displayCCDStatistics(stats) {
     
     html += '<div class="stat-item">';
     html += '<div class="stat-label">Phylogenetic Entropy:</div>';
-    html += `<div class="stat-value">${stats.entropy.toFixed(6)}</div>`;
+    html += `<div class="stat-value">${formatStatistic(stats.entropy, value => value.toFixed(6))}</div>`;
     html += '</div>';
     
     html += '<div class="stat-item">';
@@ -419,12 +865,12 @@ function displayCCDStatistics(stats) {
     
     html += '<div class="stat-item">';
     html += '<div class="stat-label">Max Tree Probability:</div>';
-    html += `<div class="stat-value">${stats.maxTreeProbability.toExponential(4)}</div>`;
+    html += `<div class="stat-value">${formatStatistic(stats.maxTreeProbability, value => value.toExponential(4))}</div>`;
     html += '</div>';
     
     html += '<div class="stat-item">';
     html += '<div class="stat-label">Max Log Tree Probability:</div>';
-    html += `<div class="stat-value">${stats.maxLogTreeProbability.toFixed(6)}</div>`;
+    html += `<div class="stat-value">${formatStatistic(stats.maxLogTreeProbability, value => value.toFixed(6))}</div>`;
     html += '</div>';
     
     html += '</div>'; // end stats-grid
@@ -453,6 +899,7 @@ function displayCCDStatistics(stats) {
 async function checkMixing() {
     hideError();
     showLoading('Reading trees...');
+    const signal = startTask();
     
     await new Promise(resolve => setTimeout(resolve, 10));
     
@@ -467,7 +914,7 @@ async function checkMixing() {
         };
         
         // Read all trees with progress
-        trees = await readTreesAsync(fileContent, format, readProgressCallback);
+        trees = await readTreesAsync(fileContent, format, readProgressCallback, signal);
         
         if (trees.length < 4) {
             throw new Error('At least 4 trees are required for mixing analysis');
@@ -490,8 +937,9 @@ async function checkMixing() {
             await new Promise(resolve => setTimeout(resolve, 0));
         };
         
-        // Check mixing by comparing first and second halves
-        const results = await calculateWithinChainDissonance(treesAfterBurnin, 2, progressCallback);
+        // Check mixing by comparing first and second halves; if cancelled, the
+        // results cover the trees processed so far
+        const results = await calculateWithinChainDissonance(treesAfterBurnin, 2, progressCallback, signal);
         
         // Display results
         displayMixingResults(results, burninCount, trees.length);
@@ -499,9 +947,13 @@ async function checkMixing() {
         hideLoading();
         
     } catch (error) {
-        showError(error.message);
-        console.error(error);
+        showError(isCancelled(error) ? 'Mixing analysis cancelled' : error.message);
+        if (!isCancelled(error)) {
+            console.error(error);
+        }
         hideLoading();
+    } finally {
+        finishTask();
     }
 }
 
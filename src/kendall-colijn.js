@@ -0,0 +1,171 @@
+// kendall-colijn.js - Kendall-Colijn metric for rooted trees with tunable lambda
+import { DistanceMatrix } from './distance-matrix';
+import { yieldToEventLoop } from './cancellation';
+
+// Milliseconds between yields to the UI while building the component matrix
+const YIELD_INTERVAL = 50;
+
+// Per-tree KC vectors, keyed on the tree object
+const vectorCache = new WeakMap();
+
+function pairIndex(i, j, numTaxa) {
+    return i * (2 * numTaxa - i - 1) / 2 + (j - i - 1);
+}
+
+/**
+ * The two Kendall-Colijn vectors of a rooted tree. For every pair of taxa,
+ * the topology vector holds the number of edges from the root to their MRCA
+ * and the length vector the branch length from the root to their MRCA. The
+ * last n entries hold the pendant edges: 1 and the pendant branch length.
+ * @param {Tree} tree - The tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @returns {{topology: Float64Array, lengths: Float64Array}}
+ */
+export function getKCVectors(tree, taxonMapping) {
+    const cached = vectorCache.get(tree);
+    if (cached && cached.taxonMapping === taxonMapping) {
+        return cached;
+    }
+
+    const numTaxa = taxonMapping.size;
+    const pendantOffset = numTaxa * (numTaxa - 1) / 2;
+    const topology = new Float64Array(pendantOffset + numTaxa);
+    const lengths = new Float64Array(pendantOffset + numTaxa);
+
+    // Returns the taxa below the node, filling in every pair whose MRCA it is
+    const visit = (node, depth, height) => {
+        if (node.children.length === 0) {
+            const label = node.label || node.id.toString();
+            const index = taxonMapping.get(label);
+            if (index === undefined) {
+                throw new Error(`Taxon "${label}" not found in taxon mapping`);
+            }
+            topology[pendantOffset + index] = 1;
+            lengths[pendantOffset + index] = node.branchLength || 0;
+            return [index];
+        }
+
+        const below = [];
+        for (const child of node.children) {
+            const taxa = visit(child, depth + 1, height + (child.branchLength || 0));
+            for (const a of below) {
+                for (const b of taxa) {
+                    const index = a < b ? pairIndex(a, b, numTaxa) : pairIndex(b, a, numTaxa);
+                    topology[index] = depth;
+                    lengths[index] = height;
+                }
+            }
+            below.push(...taxa);
+        }
+        return below;
+    };
+    visit(tree.root, 0, 0);
+
+    const vectors = { taxonMapping, topology, lengths };
+    vectorCache.set(tree, vectors);
+    return vectors;
+}
+
+/**
+ * The parts of the squared KC distance that do not depend on lambda: the
+ * squared norms of the topology and length differences and their dot product.
+ * With these, the distance for any lambda takes constant time.
+ * @returns {{topology: number, lengths: number, cross: number}}
+ */
+export function computeKCComponents(tree1, tree2, taxonMapping) {
+    const v1 = getKCVectors(tree1, taxonMapping);
+    const v2 = getKCVectors(tree2, taxonMapping);
+
+    let topology = 0;
+    let lengths = 0;
+    let cross = 0;
+    for (let k = 0; k < v1.topology.length; k++) {
+        const dm = v1.topology[k] - v2.topology[k];
+        const dM = v1.lengths[k] - v2.lengths[k];
+        topology += dm * dm;
+        lengths += dM * dM;
+        cross += dm * dM;
+    }
+    return { topology, lengths, cross };
+}
+
+/**
+ * KC distance for a given lambda: the Euclidean norm of
+ * (1 - lambda) * topology difference + lambda * length difference.
+ * Lambda 0 compares topology only; lambda 1 compares branch lengths only.
+ */
+export function kcDistanceFromComponents(components, lambda) {
+    checkLambda(lambda);
+    return kcDistance(components.topology, components.lengths, components.cross, lambda);
+}
+
+function checkLambda(lambda) {
+    if (!(lambda >= 0 && lambda <= 1)) {
+        throw new Error('Kendall-Colijn lambda must be between 0 and 1');
+    }
+}
+
+function kcDistance(topology, lengths, cross, lambda) {
+    const squared = (1 - lambda) * (1 - lambda) * topology +
+        2 * lambda * (1 - lambda) * cross +
+        lambda * lambda * lengths;
+    // Guard against tiny negative values from floating-point cancellation
+    return Math.sqrt(Math.max(0, squared));
+}
+
+/**
+ * Lambda-independent KC components for every pair of trees, so that the
+ * distance matrix can be rebuilt for a new lambda without revisiting the trees
+ * @param {Array<Tree>} trees - The trees
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @param {Function} progressCallback - Called as (pairsDone, totalPairs); may be null
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborting it throws a CancelledError at the next yield to the UI
+ * @returns {Promise<{size: number, topology: Float64Array, lengths: Float64Array, cross: Float64Array}>}
+ *   Each component as a packed upper triangle, in DistanceMatrix order
+ */
+export async function calculateKCComponentMatrix(trees, taxonMapping, progressCallback = null, options = {}) {
+    const n = trees.length;
+    const numPairs = n * (n - 1) / 2;
+    const components = {
+        size: n,
+        topology: new Float64Array(numPairs),
+        lengths: new Float64Array(numPairs),
+        cross: new Float64Array(numPairs)
+    };
+    let k = 0;
+    let lastYield = Date.now();
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const { topology, lengths, cross } = computeKCComponents(trees[i], trees[j], taxonMapping);
+            components.topology[k] = topology;
+            components.lengths[k] = lengths;
+            components.cross[k] = cross;
+            k++;
+            if (Date.now() - lastYield >= YIELD_INTERVAL) {
+                if (progressCallback) {
+                    progressCallback(k, numPairs);
+                }
+                await yieldToEventLoop(options.signal);
+                lastYield = Date.now();
+            }
+        }
+    }
+    if (progressCallback) {
+        progressCallback(numPairs, numPairs);
+    }
+    return components;
+}
+
+/**
+ * Distance matrix for one lambda from a component matrix
+ * @returns {DistanceMatrix}
+ */
+export function kcDistanceMatrix(components, lambda) {
+    checkLambda(lambda);
+    const matrix = new DistanceMatrix(components.size);
+    for (let k = 0; k < matrix.values.length; k++) {
+        matrix.values[k] = kcDistance(components.topology[k], components.lengths[k], components.cross[k], lambda);
+    }
+    return matrix;
+}
@@ -0,0 +1,151 @@
+// landmark-mds.js - Landmark MDS: embedding many trees from their distances to a few landmark trees
+import { createPairDistance } from './distance-metrics';
+import { DistanceMatrix } from './distance-matrix';
+import { yieldToEventLoop } from './cancellation';
+import { leadingEigenpairs, squaredRowMeans } from './mds';
+
+// Distances computed between yields to the UI
+const YIELD_INTERVAL = 100;
+
+/**
+ * Choose landmark trees and calculate the distance from each of them to every
+ * tree, which is all landmark MDS needs: k rows instead of the n(n-1)/2
+ * pairs of the full matrix.
+ *
+ * Random selection draws the landmarks uniformly. Max-min selection starts
+ * from a random tree and then repeatedly adds the tree farthest from all
+ * landmarks chosen so far, so the landmarks spread over the whole cloud,
+ * outlying islands included. Its next landmark depends on the distances of
+ * the previous ones, so the rows are computed one at a time either way.
+ *
+ * @param {Array<Tree>} trees - Trees to embed
+ * @param {string} metric - Registered metric name
+ * @param {number} numLandmarks - Number of landmarks k (at most the number of trees)
+ * @param {Function} progressCallback - Called as (pairsDone, totalPairs)
+ * @param {Object} options - Options of calculateDistanceMatrix, including signal
+ * @param {string} options.landmarkSelection - 'random' (default) or 'maxmin'
+ * @returns {Promise<{size: number, landmarks: Array<number>, distances: Float64Array}>}
+ *   Tree indices of the landmarks in the order chosen, and the distance from
+ *   landmark l to tree j at distances[l * size + j]
+ */
+export async function calculateLandmarkDistances(trees, metric, numLandmarks, progressCallback, options = {}) {
+    const n = trees.length;
+    const k = Math.min(numLandmarks, n);
+    if (!(k >= 2)) {
+        throw new Error('Landmark MDS needs at least 2 landmarks');
+    }
+    const selection = options.landmarkSelection || 'random';
+    if (selection !== 'random' && selection !== 'maxmin') {
+        throw new Error(`Unknown landmark selection "${selection}"`);
+    }
+
+    const pairDistance = createPairDistance(trees, metric, options);
+    const distances = new Float64Array(k * n);
+    const landmarks = [];
+    const isLandmark = new Uint8Array(n);
+    // Distance from each tree to its nearest landmark, for max-min selection
+    const nearest = new Float64Array(n).fill(Infinity);
+    const order = selection === 'random' ? randomSample(n, k) : null;
+    const totalPairs = k * n;
+    let pairsDone = 0;
+
+    for (let l = 0; l < k; l++) {
+        const landmark = order ? order[l] : (l === 0 ? Math.floor(Math.random() * n) : farthest(nearest, isLandmark));
+        landmarks.push(landmark);
+        isLandmark[landmark] = 1;
+
+        for (let j = 0; j < n; j++) {
+            if (j !== landmark) {
+                distances[l * n + j] = pairDistance(landmark, j);
+            }
+            nearest[j] = Math.min(nearest[j], distances[l * n + j]);
+            pairsDone++;
+            if (pairsDone % YIELD_INTERVAL === 0) {
+                if (progressCallback) {
+                    progressCallback(pairsDone, totalPairs);
+                }
+                await yieldToEventLoop(options.signal);
+            }
+        }
+    }
+    if (progressCallback) {
+        progressCallback(totalPairs, totalPairs);
+    }
+
+    return { size: n, landmarks, distances };
+}
+
+// The first k indices of a random permutation of 0..n-1
+function randomSample(n, k) {
+    const indices = Array.from({ length: n }, (_, i) => i);
+    for (let i = 0; i < k; i++) {
+        const j = i + Math.floor(Math.random() * (n - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, k);
+}
+
+// The tree, other than a landmark, farthest from its nearest landmark
+function farthest(nearest, isLandmark) {
+    let best = -1;
+    for (let j = 0; j < nearest.length; j++) {
+        if (!isLandmark[j] && (best === -1 || nearest[j] > nearest[best])) {
+            best = j;
+        }
+    }
+    return best;
+}
+
+/**
+ * Distances among the landmarks, in the order they were chosen
+ * @param {{size: number, landmarks: Array<number>, distances: Float64Array}} landmarkDistances -
+ *   Result of calculateLandmarkDistances
+ * @returns {DistanceMatrix}
+ */
+export function landmarkDistanceMatrix({ size, landmarks, distances }) {
+    const k = landmarks.length;
+    const matrix = new DistanceMatrix(k);
+    for (let a = 0; a < k; a++) {
+        for (let b = a + 1; b < k; b++) {
+            matrix.set(a, b, distances[a * size + landmarks[b]]);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Landmark MDS (de Silva & Tenenbaum 2004). The landmarks are embedded by
+ * classical MDS; every tree is then placed by distance-based triangulation,
+ * x = -1/2 L# (d² - mean landmark d²), where L# holds the landmark
+ * eigenvectors divided by the square roots of their eigenvalues.
+ * Landmarks land exactly where classical MDS of the landmarks puts them, and
+ * with every tree as a landmark the result is classical MDS.
+ * @param {{size: number, landmarks: Array<number>, distances: Float64Array}} landmarkDistances -
+ *   Result of calculateLandmarkDistances
+ * @param {number} dimensions - Number of output dimensions (default 2)
+ * @returns {Array<Array<number>>} Coordinates of all trees
+ */
+export function landmarkMDS(landmarkDistances, dimensions = 2) {
+    const { size: n, landmarks, distances } = landmarkDistances;
+    const k = landmarks.length;
+    const landmarkMatrix = landmarkDistanceMatrix(landmarkDistances);
+    const rowMeans = squaredRowMeans(landmarkMatrix);
+    const eigenPairs = leadingEigenpairs(landmarkMatrix, dimensions);
+
+    const coords = Array(n).fill(null).map(() => new Array(dimensions).fill(0));
+    for (let d = 0; d < dimensions && d < eigenPairs.length; d++) {
+        const { value, vector } = eigenPairs[d];
+        if (!(value > 0)) {
+            continue;
+        }
+        const scale = Math.sqrt(value);
+        for (let l = 0; l < k; l++) {
+            const weight = -0.5 * vector[l] / scale;
+            for (let j = 0; j < n; j++) {
+                const distance = distances[l * n + j];
+                coords[j][d] += weight * (distance * distance - rowMeans[l]);
+            }
+        }
+    }
+    return coords;
+}
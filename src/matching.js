@@ -0,0 +1,130 @@
+// matching.js - Optimal assignment (weighted bipartite matching) between two sets
+
+/**
+ * Solve the linear assignment problem for a square cost matrix with the
+ * Hungarian algorithm (shortest augmenting paths with potentials), O(n^3).
+ * @param {Array<Float64Array|Array<number>>} cost - n×n matrix, cost[i][j] of assigning row i to column j
+ * @returns {{assignment: Int32Array, cost: number}} Column assigned to each row and the total cost
+ */
+export function solveAssignment(cost) {
+    const n = cost.length;
+    const assignment = new Int32Array(n).fill(-1);
+    if (n === 0) {
+        return { assignment, cost: 0 };
+    }
+
+    // 1-based arrays as in the classic formulation; column 0 is a virtual start
+    const u = new Float64Array(n + 1);
+    const v = new Float64Array(n + 1);
+    const rowOfColumn = new Int32Array(n + 1);
+    const way = new Int32Array(n + 1);
+    const minSlack = new Float64Array(n + 1);
+    const used = new Uint8Array(n + 1);
+
+    for (let i = 1; i <= n; i++) {
+        rowOfColumn[0] = i;
+        let j0 = 0;
+        minSlack.fill(Infinity);
+        used.fill(0);
+
+        do {
+            used[j0] = 1;
+            const i0 = rowOfColumn[j0];
+            const row = cost[i0 - 1];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const slack = row[j - 1] - u[i0] - v[j];
+                if (slack < minSlack[j]) {
+                    minSlack[j] = slack;
+                    way[j] = j0;
+                }
+                if (minSlack[j] < delta) {
+                    delta = minSlack[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[rowOfColumn[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minSlack[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (rowOfColumn[j0] !== 0);
+
+        // Augment along the alternating path
+        do {
+            const j1 = way[j0];
+            rowOfColumn[j0] = rowOfColumn[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    let total = 0;
+    for (let j = 1; j <= n; j++) {
+        if (rowOfColumn[j] > 0) {
+            assignment[rowOfColumn[j] - 1] = j - 1;
+            total += cost[rowOfColumn[j] - 1][j - 1];
+        }
+    }
+    return { assignment, cost: total };
+}
+
+/**
+ * Maximum-weight matching between the items of two lists, where unmatched
+ * items score zero. The smaller side is padded so every item can stay unmatched.
+ * @param {number} rows - Number of items on the first side
+ * @param {number} cols - Number of items on the second side
+ * @param {Function} weight - weight(i, j), non-negative score of pairing item i with item j
+ * @returns {number} Total weight of the best matching
+ */
+export function maxWeightMatching(rows, cols, weight) {
+    const n = Math.max(rows, cols);
+    const cost = [];
+    for (let i = 0; i < n; i++) {
+        const row = new Float64Array(n);
+        if (i < rows) {
+            for (let j = 0; j < cols; j++) {
+                row[j] = -weight(i, j);
+            }
+        }
+        cost.push(row);
+    }
+    return -solveAssignment(cost).cost;
+}
+
+/**
+ * Minimum-cost matching between the items of two lists that matches as many
+ * items as possible; each item left over on the larger side pays its own
+ * penalty instead. The smaller side is padded with dummy items.
+ * @param {number} rows - Number of items on the first side
+ * @param {number} cols - Number of items on the second side
+ * @param {Function} cost - cost(i, j) of pairing item i with item j
+ * @param {Function} rowPenalty - rowPenalty(i), cost of leaving item i unmatched
+ * @param {Function} colPenalty - colPenalty(j), cost of leaving item j unmatched
+ * @returns {number} Total cost of the best matching
+ */
+export function minCostMatching(rows, cols, cost, rowPenalty, colPenalty) {
+    const n = Math.max(rows, cols);
+    const matrix = [];
+    for (let i = 0; i < n; i++) {
+        const row = new Float64Array(n);
+        for (let j = 0; j < n; j++) {
+            if (i < rows && j < cols) {
+                row[j] = cost(i, j);
+            } else if (i < rows) {
+                row[j] = rowPenalty(i);
+            } else if (j < cols) {
+                row[j] = colPenalty(j);
+            }
+        }
+        matrix.push(row);
+    }
+    return solveAssignment(matrix).cost;
+}
@@ -1,49 +1,536 @@
 import numeric from 'numeric';
+import { toDistanceMatrix } from './distance-matrix';
+import { yieldToEventLoop } from './cancellation';
+import { lanczosEigenpairs, estimateTrace } from './eigensolver';
 
-export function classicalMDS(distances) {
-    const n = distances.length;
-    
-    // Convert distances to squared distances
-    const D = distances.map(row => row.map(d => d * d));
+// Minimum milliseconds between yields to the UI during SMACOF
+const YIELD_INTERVAL = 50;
+// Largest number of trees whose whole eigen-spectrum classical MDS computes
+const FULL_SPECTRUM_LIMIT = 500;
+// Leading eigenvalues computed above FULL_SPECTRUM_LIMIT, for the scree plot
+const SPECTRUM_SIZE = 20;
+
+/**
+ * Classical (Torgerson) MDS
+ * @param {DistanceMatrix|Array<Array<number>>} distances - Distance matrix
+ * @param {number} dimensions - Number of output dimensions (default 2)
+ * @returns {Array<Array<number>>} Coordinates
+ */
+export function classicalMDS(distances, dimensions = 2) {
+    return computeClassicalMDS(distances, dimensions).coords;
+}
+
+/**
+ * Classical MDS with the eigen-spectrum it is based on. Axis d uses the d-th
+ * largest eigenvalue of the double-centred matrix, and its share of the
+ * positive eigenvalues is the proportion of variance it shows. Negative
+ * eigenvalues mean the distances cannot be drawn exactly in any Euclidean
+ * space, however many axes are used; their size shows how far from
+ * Euclidean the matrix is.
+ *
+ * Only the leading eigenpairs are computed, by Lanczos iteration on the
+ * packed distances (see lanczosEigenpairs), which takes a few dozen O(n^2)
+ * products instead of the O(n^3) of a dense eigensolver. Up to
+ * FULL_SPECTRUM_LIMIT trees the iteration runs to the whole spectrum; for
+ * more, the eigenvalues returned are the SPECTRUM_SIZE largest (or
+ * `dimensions`, if more), and the sum of the positive eigenvalues and the
+ * negative part are estimates, flagged by `estimated`. The dense solver of
+ * numeric.js is kept as options.solver = 'dense'.
+ *
+ * @param {DistanceMatrix|Array<Array<number>>} distances - Distance matrix
+ * @param {number} dimensions - Number of output dimensions (default 2)
+ * @param {Object} options
+ * @param {string} options.solver - 'lanczos' (default) or 'dense'
+ * @param {number} options.maxSteps - Largest Krylov space of the Lanczos solver (default n)
+ * @returns {{coords: Array<Array<number>>, eigenvalues: Array<number>, varianceProportions: Array<number>,
+ *   negative: {count: number, magnitude: number, ratio: number, largestRatio: number}, estimated: boolean,
+ *   converged: boolean}}
+ *   Coordinates; the eigenvalues, largest first, with the proportion of variance of each
+ *   (0 for non-positive ones); the number of negative eigenvalues, the sum of their
+ *   magnitudes, that sum over the sum of all magnitudes, and the most negative
+ *   eigenvalue's magnitude over the largest eigenvalue; whether the spectrum was
+ *   only partly computed, making the proportions and the negative part estimates;
+ *   and whether the leading eigenpairs converged (false only if options.maxSteps
+ *   stopped the solver first, leaving coordinates and eigenvalues approximate)
+ */
+export function computeClassicalMDS(distances, dimensions = 2, options = {}) {
+    checkDimensions(dimensions);
+    const matrix = toDistanceMatrix(distances);
+    const n = matrix.size;
+    const solver = options.solver || 'lanczos';
+
+    if (solver === 'dense') {
+        const eigenPairs = sortedEigenpairs(doubleCenter(matrix).B);
+        return {
+            coords: coordinatesFromEigenpairs(eigenPairs, n, dimensions),
+            ...summarizeSpectrum(eigenPairs.map(pair => pair.value)),
+            converged: true
+        };
+    }
+    if (solver !== 'lanczos') {
+        throw new Error(`Unknown eigensolver "${solver}"`);
+    }
+
+    const result = lanczosEigenpairs(centredProduct(matrix), n, Math.max(dimensions, SPECTRUM_SIZE),
+        { vectors: dimensions, full: n <= FULL_SPECTRUM_LIMIT, maxSteps: options.maxSteps });
+    const eigenPairs = result.vectors.map((vector, d) => ({ value: result.values[d], vector }));
+    return {
+        coords: coordinatesFromEigenpairs(eigenPairs, n, dimensions),
+        ...(result.complete ? summarizeSpectrum(Array.from(result.ritzValues)) : estimateSpectrum(result, matrix)),
+        converged: result.converged
+    };
+}
+
+/**
+ * Leading eigenpairs of the double-centred squared distances, by Lanczos
+ * iteration on the packed matrix, or by the dense solver if Lanczos does not
+ * converge within options.maxSteps
+ * @param {DistanceMatrix} matrix - Distance matrix
+ * @param {number} count - Number of eigenpairs
+ * @param {Object} options
+ * @param {number} options.maxSteps - Largest Krylov space (default n)
+ * @returns {Array<{value: number, vector: Float64Array|Array<number>}>} Largest eigenvalue first
+ */
+export function leadingEigenpairs(matrix, count, options = {}) {
+    const { values, vectors, converged } = lanczosEigenpairs(centredProduct(matrix), matrix.size, count,
+        { maxSteps: options.maxSteps });
+    if (!converged) {
+        return sortedEigenpairs(doubleCenter(matrix).B).slice(0, count);
+    }
+    return vectors.map((vector, d) => ({ value: values[d], vector }));
+}
+
+function checkDimensions(dimensions) {
+    if (!(Number.isInteger(dimensions) && dimensions >= 1)) {
+        throw new Error(`MDS needs a positive whole number of dimensions, not ${dimensions}`);
+    }
+}
+
+// Proportions of variance and the negative part of eigenvalues sorted largest first
+function summarizeSpectrum(eigenvalues) {
+    const largest = eigenvalues.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    // The centring always leaves one zero eigenvalue, which rounding can make slightly negative
+    const threshold = 1e-10 * largest;
+    let positive = 0;
+    let magnitude = 0;
+    let count = 0;
+    let total = 0;
+    for (const value of eigenvalues) {
+        total += Math.abs(value);
+        if (value > threshold) {
+            positive += value;
+        } else if (value < -threshold) {
+            magnitude -= value;
+            count++;
+        }
+    }
+    const mostNegative = count > 0 ? -eigenvalues[eigenvalues.length - 1] : 0;
+    return {
+        eigenvalues,
+        varianceProportions: eigenvalues.map(value => value > threshold ? value / positive : 0),
+        negative: {
+            count,
+            magnitude,
+            ratio: total > 0 ? magnitude / total : 0,
+            largestRatio: eigenvalues[0] > 0 ? mostNegative / eigenvalues[0] : 0
+        },
+        estimated: false
+    };
+}
+
+// As summarizeSpectrum for a partial Lanczos run: the leading eigenvalues are exact, the negative part
+// estimated (see estimateTrace), and the positive sum follows from the exact trace of B
+function estimateSpectrum(result, matrix) {
+    const { values: eigenvalues, ritzValues } = result;
+    const smallest = ritzValues[ritzValues.length - 1];
+    const threshold = 1e-10 * Math.max(Math.abs(ritzValues[0]), Math.abs(smallest));
+    const mostNegative = smallest < -threshold ? -smallest : 0;
+    const magnitude = Math.max(mostNegative, estimateTrace(result, matrix.size, value => value < -threshold ? -value : 0));
+    const count = Math.round(estimateTrace(result, matrix.size, value => value < -threshold ? 1 : 0));
+    // trace(B) is the sum of the squared distances over n
+    const trace = matrix.values.reduce((sum, d) => sum + d * d, 0) / matrix.size;
+    const leading = eigenvalues.reduce((sum, value) => value > threshold ? sum + value : sum, 0);
+    const positive = Math.max(leading, trace + magnitude);
+    return {
+        eigenvalues,
+        varianceProportions: eigenvalues.map(value => value > threshold ? value / positive : 0),
+        negative: {
+            count: mostNegative > 0 ? Math.max(1, count) : 0,
+            magnitude,
+            ratio: magnitude / (positive + magnitude || 1),
+            largestRatio: eigenvalues[0] > 0 ? mostNegative / eigenvalues[0] : 0
+        },
+        estimated: true
+    };
+}
+
+/**
+ * Row means of the squared distances, read from the upper triangle
+ * @param {DistanceMatrix} matrix - Distance matrix
+ * @returns {Float64Array}
+ */
+export function squaredRowMeans(matrix) {
+    const n = matrix.size;
+    const rowMeans = new Float64Array(n);
+    let k = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const squared = matrix.values[k] * matrix.values[k];
+            rowMeans[i] += squared;
+            rowMeans[j] += squared;
+            k++;
+        }
+    }
+    for (let i = 0; i < n; i++) {
+        rowMeans[i] /= n;
+    }
+    return rowMeans;
+}
+
+/**
+ * Double-centred squared distances, B = -1/2 J D^2 J, whose leading
+ * eigenvectors give the classical MDS coordinates
+ * @param {DistanceMatrix} matrix - Distance matrix
+ * @returns {{B: Array<Array<number>>, rowMeans: Float64Array}} B, and the row means of the squared distances
+ */
+export function doubleCenter(matrix) {
+    const n = matrix.size;
+    const rowMeans = squaredRowMeans(matrix);
+    const totalMean = rowMeans.reduce((sum, mean) => sum + mean, 0) / n;
     
     // Double centering
-    const rowMeans = D.map(row => row.reduce((a, b) => a + b) / n);
-    const totalMean = rowMeans.reduce((a, b) => a + b) / n;
-    
     const B = Array(n).fill(null).map(() => Array(n).fill(0));
+    let k = 0;
     for (let i = 0; i < n; i++) {
-        for (let j = 0; j < n; j++) {
-            B[i][j] = -0.5 * (D[i][j] - rowMeans[i] - rowMeans[j] + totalMean);
+        B[i][i] = -0.5 * (totalMean - 2 * rowMeans[i]);
+        for (let j = i + 1; j < n; j++) {
+            const d = matrix.values[k++];
+            const value = -0.5 * (d * d - rowMeans[i] - rowMeans[j] + totalMean);
+            B[i][j] = value;
+            B[j][i] = value;
         }
     }
     
-    // Eigendecomposition
+    return { B, rowMeans };
+}
+
+// Product with B = -1/2 J D^2 J straight from the packed distances, without forming B (J v = v - mean v)
+function centredProduct(matrix) {
+    const n = matrix.size;
+    const values = matrix.values;
+    const centred = new Float64Array(n);
+    return (v, out) => {
+        const mean = v.reduce((sum, x) => sum + x, 0) / n;
+        for (let i = 0; i < n; i++) {
+            centred[i] = v[i] - mean;
+        }
+        out.fill(0);
+        let k = 0;
+        for (let i = 0; i < n; i++) {
+            let row = 0;
+            const ci = centred[i];
+            for (let j = i + 1; j < n; j++, k++) {
+                const squared = values[k] * values[k];
+                row += squared * centred[j];
+                out[j] += squared * ci;
+            }
+            out[i] += row;
+        }
+        const outMean = out.reduce((sum, x) => sum + x, 0) / n;
+        for (let i = 0; i < n; i++) {
+            out[i] = -0.5 * (out[i] - outMean);
+        }
+    };
+}
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix, largest eigenvalue
+ * first, by the dense solver of numeric.js, which takes O(n^3) time
+ * @param {Array<Array<number>>} B - Symmetric matrix
+ * @returns {Array<{value: number, vector: Array<number>}>}
+ */
+export function sortedEigenpairs(B) {
     const eig = numeric.eig(B);
-    
-    // Get the two largest eigenvalues and corresponding eigenvectors
     const eigenPairs = eig.lambda.x.map((val, idx) => ({
         value: val,
         vector: eig.E.x.map(row => row[idx])
     }));
-    
     eigenPairs.sort((a, b) => b.value - a.value);
-    
-    // Extract 2D coordinates
-    const coords = Array(n).fill(null).map(() => [0, 0]);
-    
-    if (eigenPairs[0].value > 0) {
-        const scale1 = Math.sqrt(eigenPairs[0].value);
-        for (let i = 0; i < n; i++) {
-            coords[i][0] = eigenPairs[0].vector[i] * scale1;
+    return eigenPairs;
+}
+
+// Coordinates from the leading eigenpairs; a non-positive eigenvalue leaves its axis at 0
+function coordinatesFromEigenpairs(eigenPairs, n, dimensions) {
+    const coords = Array(n).fill(null).map(() => new Array(dimensions).fill(0));
+    for (let d = 0; d < dimensions && d < eigenPairs.length; d++) {
+        if (eigenPairs[d].value > 0) {
+            const scale = Math.sqrt(eigenPairs[d].value);
+            for (let i = 0; i < n; i++) {
+                coords[i][d] = eigenPairs[d].vector[i] * scale;
+            }
         }
     }
-    
-    if (eigenPairs.length > 1 && eigenPairs[1].value > 0) {
-        const scale2 = Math.sqrt(eigenPairs[1].value);
-        for (let i = 0; i < n; i++) {
-            coords[i][1] = eigenPairs[1].vector[i] * scale2;
+    return coords;
+}
+
+/**
+ * Metric MDS by SMACOF (de Leeuw 1977): stress is reduced
+ * by repeated Guttman transforms of the configuration, each of which takes
+ * O(n^2) time. Unlike classical MDS, it fits the distances themselves rather
+ * than their double-centred squares, so it distorts non-Euclidean distances
+ * such as RF and SPR much less.
+ *
+ * The first run starts from options.init; further runs (options.restarts)
+ * start from random configurations, and the run with the lowest stress wins.
+ *
+ * @param {DistanceMatrix|Array<Array<number>>} distances - Distance matrix
+ * @param {Object} options
+ * @param {string} options.init - 'classical' (default) or 'random' start for the first run
+ * @param {number} options.restarts - Number of runs (default 1)
+ * @param {number} options.tolerance - Stop when stress-1 changes by less than this
+ *   fraction between iterations (default 1e-5)
+ * @param {number} options.maxIterations - Iterations per run (default 300)
+ * @param {number} options.dimensions - Number of output dimensions (default 2)
+ * @param {boolean} options.nonMetric - Fit only the order of the distances (see nonMetricMDS)
+ * @param {AbortSignal} options.signal - Stops with a CancelledError at the next yield to the UI
+ * @param {Function} options.progressCallback - Called as (run, iteration, stress) while running
+ * @returns {Promise<{coords: Array<Array<number>>, stress: number, iterations: number,
+ *   converged: boolean, stresses: Array<number>}>} The best run: its coordinates, stress-1,
+ *   iteration count and whether it converged, and the stress-1 of every run
+ */
+export async function smacofMDS(distances, options = {}) {
+    const matrix = toDistanceMatrix(distances);
+    const {
+        init = 'classical',
+        restarts = 1,
+        tolerance = 1e-5,
+        maxIterations = 300,
+        dimensions = 2,
+        nonMetric = false,
+        signal = null,
+        progressCallback = null
+    } = options;
+    if (init !== 'classical' && init !== 'random') {
+        throw new Error(`Unknown MDS initialisation "${init}"`);
+    }
+    if (!(restarts >= 1)) {
+        throw new Error('MDS needs at least one run');
+    }
+    checkDimensions(dimensions);
+
+    const order = nonMetric ? rankOrder(matrix.values) : null;
+    let best = null;
+    const stresses = [];
+    for (let run = 0; run < restarts; run++) {
+        let start = run === 0 && init === 'classical' ? flatten(classicalMDS(matrix, dimensions)) : null;
+        // Identical distances give a classical configuration of one point, which SMACOF cannot move
+        if (!start || start.every(x => x === 0)) {
+            start = randomConfiguration(matrix, dimensions);
+        }
+        const result = await runSmacof(matrix, start, dimensions, order, tolerance, maxIterations, signal,
+            (iteration, stress) => progressCallback && progressCallback(run, iteration, stress));
+        stresses.push(result.stress);
+        if (!best || result.stress < best.stress) {
+            best = result;
         }
     }
-    
-    return coords;
+    return { ...best, stresses };
+}
+
+/**
+ * Kruskal's non-metric MDS, by SMACOF with optimal
+ * monotone rescaling: only the order of the distances is fitted. Each
+ * iteration replaces the distances by disparities, the isotonic regression
+ * of the configuration distances on the order of the input distances (tied
+ * input distances may take different disparities). Options and result are
+ * as for smacofMDS; stress is stress-1 against the disparities.
+ * @param {DistanceMatrix|Array<Array<number>>} distances - Distance matrix
+ * @param {Object} options - As for smacofMDS
+ */
+export function nonMetricMDS(distances, options = {}) {
+    return smacofMDS(distances, { ...options, nonMetric: true });
+}
+
+// One SMACOF run from a configuration stored point by point, with the given number of coordinates each
+async function runSmacof(matrix, X, dimensions, order, tolerance, maxIterations, signal, onIteration) {
+    const n = matrix.size;
+    const delta = matrix.values;
+    const dist = new Float64Array(delta.length);
+    // Target distances of the Guttman transform: the input, or the normalised disparities
+    const target = order ? new Float64Array(delta.length) : delta;
+
+    const evaluate = () => {
+        configurationDistances(X, n, dimensions, dist);
+        return order ? fitDisparities(dist, order, target) : stress1(delta, dist);
+    };
+
+    let stress = evaluate();
+    let iterations = 0;
+    let converged = false;
+    let lastYield = Date.now();
+    while (iterations < maxIterations) {
+        X = guttmanTransform(X, n, dimensions, dist, target);
+        iterations++;
+        const previous = stress;
+        stress = evaluate();
+        // An exact fit leaves only rounding noise, which never meets a relative tolerance
+        if (Math.abs(previous - stress) <= tolerance * previous + Number.EPSILON) {
+            converged = true;
+            break;
+        }
+        if (Date.now() - lastYield >= YIELD_INTERVAL) {
+            onIteration(iterations, stress);
+            await yieldToEventLoop(signal);
+            lastYield = Date.now();
+        }
+    }
+    onIteration(iterations, stress);
+
+    const coords = Array(n).fill(null).map((_, i) => Array.from(X.subarray(dimensions * i, dimensions * (i + 1))));
+    return { coords, stress, iterations, converged };
+}
+
+// Distances between the points of a configuration, in packed upper-triangle order
+function configurationDistances(X, n, dimensions, out) {
+    let k = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            let squares = 0;
+            for (let d = 0; d < dimensions; d++) {
+                const diff = X[dimensions * i + d] - X[dimensions * j + d];
+                squares += diff * diff;
+            }
+            out[k++] = Math.sqrt(squares);
+        }
+    }
+}
+
+// Kruskal's stress-1, sqrt(sum (target - d)^2 / sum d^2); 0 is a perfect fit, and Kruskal rated 0.05 good and 0.2 poor
+function stress1(target, dist) {
+    let residual = 0;
+    let total = 0;
+    for (let k = 0; k < dist.length; k++) {
+        const diff = target[k] - dist[k];
+        residual += diff * diff;
+        total += dist[k] * dist[k];
+    }
+    return total > 0 ? Math.sqrt(residual / total) : 0;
+}
+
+/**
+ * Guttman transform X' = B(X) X / n with unit weights: each point moves to
+ * the average over all other points j of its offset from j rescaled by
+ * target/distance. Coincident points (distance 0) exert no pull.
+ */
+function guttmanTransform(X, n, dimensions, dist, target) {
+    const next = new Float64Array(dimensions * n);
+    let k = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++, k++) {
+            if (dist[k] > 0) {
+                const ratio = target[k] / dist[k];
+                for (let d = 0; d < dimensions; d++) {
+                    const step = ratio * (X[dimensions * i + d] - X[dimensions * j + d]);
+                    next[dimensions * i + d] += step;
+                    next[dimensions * j + d] -= step;
+                }
+            }
+        }
+    }
+    for (let c = 0; c < next.length; c++) {
+        next[c] /= n;
+    }
+    return next;
+}
+
+/**
+ * Pair indices in ascending order of input distance, and the runs of tied
+ * distances, which fitDisparities reorders by configuration distance
+ * @returns {{pairs: Uint32Array, tieEnds: Array<number>}}
+ */
+function rankOrder(values) {
+    const pairs = new Uint32Array(values.length);
+    for (let k = 0; k < pairs.length; k++) {
+        pairs[k] = k;
+    }
+    pairs.sort((a, b) => values[a] - values[b]);
+    const tieEnds = [];
+    for (let t = 1; t <= pairs.length; t++) {
+        if (t === pairs.length || values[pairs[t]] !== values[pairs[t - 1]]) {
+            tieEnds.push(t);
+        }
+    }
+    return { pairs, tieEnds };
+}
+
+/**
+ * Disparities by the pool-adjacent-violators algorithm: the nondecreasing
+ * (in input-distance order) sequence closest to the configuration
+ * distances. They are written to out scaled to a sum of squares of
+ * n(n-1)/2, which keeps SMACOF from shrinking the configuration to a point.
+ * @returns {number} Stress-1 of the configuration against the disparities
+ */
+function fitDisparities(dist, order, out) {
+    const { pairs, tieEnds } = order;
+    const m = pairs.length;
+
+    // Primary approach to ties: order each run of tied input distances by configuration distance
+    let start = 0;
+    for (const end of tieEnds) {
+        if (end - start > 1) {
+            pairs.subarray(start, end).sort((a, b) => dist[a] - dist[b]);
+        }
+        start = end;
+    }
+
+    // Blocks of pooled values, each with its mean and length
+    const means = new Float64Array(m);
+    const sizes = new Uint32Array(m);
+    let blocks = 0;
+    for (let t = 0; t < m; t++) {
+        let mean = dist[pairs[t]];
+        let size = 1;
+        while (blocks > 0 && means[blocks - 1] > mean) {
+            blocks--;
+            mean = (means[blocks] * sizes[blocks] + mean * size) / (sizes[blocks] + size);
+            size += sizes[blocks];
+        }
+        means[blocks] = mean;
+        sizes[blocks] = size;
+        blocks++;
+    }
+
+    let residual = 0;
+    let total = 0;
+    let squares = 0;
+    let t = 0;
+    for (let b = 0; b < blocks; b++) {
+        for (let s = 0; s < sizes[b]; s++, t++) {
+            const k = pairs[t];
+            const diff = means[b] - dist[k];
+            residual += diff * diff;
+            total += dist[k] * dist[k];
+            squares += means[b] * means[b];
+            out[k] = means[b];
+        }
+    }
+    const scale = squares > 0 ? Math.sqrt(m / squares) : 0;
+    for (let k = 0; k < m; k++) {
+        out[k] *= scale;
+    }
+    return total > 0 ? Math.sqrt(residual / total) : 0;
+}
+
+function flatten(coords) {
+    return Float64Array.from(coords.flat());
+}
+
+// Points drawn uniformly from a cube on the scale of the distances
+function randomConfiguration(matrix, dimensions) {
+    let squares = 0;
+    for (const d of matrix.values) {
+        squares += d * d;
+    }
+    const scale = Math.sqrt(squares / Math.max(1, matrix.values.length)) || 1;
+    return Float64Array.from({ length: dimensions * matrix.size }, () => (Math.random() - 0.5) * scale);
 }
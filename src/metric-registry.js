@@ -0,0 +1,58 @@
+// metric-registry.js - Registry of the distance metrics available to the distance matrix and the UI
+
+// Metric definitions by name, in registration order
+const metrics = new Map();
+
+/**
+ * Register a tree distance metric. Registered metrics are accepted by the
+ * distance matrix functions and listed in the metric dropdown.
+ *
+ * compute(tree1, tree2, taxonMapping, options, data1, data2) returns the
+ * distance, or {distance, lowerBound, upperBound, exact} for a metric that may
+ * only bound it; options are those passed to the matrix function. If given,
+ * precompute(tree, taxonMapping, options) runs once per tree and its result
+ * is passed to compute as data1 and data2.
+ *
+ * @param {string} name - Metric identifier, as used in calculateDistanceMatrix
+ * @param {Object} definition - The metric
+ * @param {string} definition.label - Name shown in the dropdown
+ * @param {Function} definition.compute - Distance between two trees
+ * @param {Function} [definition.precompute] - Per-tree data for compute
+ * @param {boolean|null} [definition.rooted] - true if the metric compares rooted trees, false if
+ *   unrooted, null (the default) if it follows the rooted setting (options.rooted)
+ * @param {boolean} [definition.usesBranchLengths] - Whether branch lengths affect the distance
+ */
+export function registerMetric(name, { label, compute, precompute, rooted = null, usesBranchLengths = false }) {
+    if (typeof compute !== 'function') {
+        throw new Error(`Metric "${name}" needs a compute function`);
+    }
+    metrics.set(name, {
+        name,
+        label: label || name,
+        compute,
+        precompute,
+        rooted,
+        usesBranchLengths
+    });
+}
+
+/**
+ * Look up a registered metric
+ * @param {string} name - Metric identifier
+ * @returns {Object} The metric definition, as registered
+ */
+export function getMetric(name) {
+    const metric = metrics.get(name);
+    if (!metric) {
+        throw new Error(`Unknown distance metric "${name}"`);
+    }
+    return metric;
+}
+
+/**
+ * All registered metrics, in registration order
+ * @returns {Array<Object>} Metric definitions
+ */
+export function getMetrics() {
+    return Array.from(metrics.values());
+}
@@ -0,0 +1,591 @@
+// neighbour-embedding.js - t-SNE and UMAP embeddings of trees from a precomputed distance matrix
+import { toDistanceMatrix } from './distance-matrix';
+import { yieldToEventLoop } from './cancellation';
+import { classicalMDS } from './mds';
+
+// Minimum milliseconds between yields to the UI while optimising
+const YIELD_INTERVAL = 50;
+// t-SNE iterations with exaggerated attraction and low momentum, which let clusters form
+const EXAGGERATION_ITERATIONS = 250;
+const EXAGGERATION = 12;
+// Smallest UMAP kernel width, as a fraction of the mean neighbour distance (as in umap-learn)
+const MIN_KERNEL_SCALE = 1e-3;
+
+/**
+ * Pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32), so that an
+ * embedding can be reproduced exactly
+ * @param {number} seed - Seed
+ * @returns {Function} Generator
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Standard normal deviate by the Box-Muller transform
+function gaussian(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * The k nearest other trees of every tree, nearest first
+ * @returns {Promise<{indices: Int32Array, distances: Float64Array}>} Neighbour m of tree i at i * k + m
+ */
+async function nearestNeighbours(matrix, k, signal) {
+    const n = matrix.size;
+    const indices = new Int32Array(n * k);
+    const distances = new Float64Array(n * k);
+    const row = new Float64Array(n);
+    let lastYield = Date.now();
+    for (let i = 0; i < n; i++) {
+        matrix.row(i, row);
+        const base = i * k;
+        let found = 0;
+        for (let j = 0; j < n; j++) {
+            if (j === i || (found === k && row[j] >= distances[base + k - 1])) {
+                continue;
+            }
+            // Insert into the sorted list, dropping the farthest once it is full
+            let m = found < k ? found++ : k - 1;
+            while (m > 0 && distances[base + m - 1] > row[j]) {
+                distances[base + m] = distances[base + m - 1];
+                indices[base + m] = indices[base + m - 1];
+                m--;
+            }
+            distances[base + m] = row[j];
+            indices[base + m] = j;
+        }
+        if (Date.now() - lastYield >= YIELD_INTERVAL) {
+            await yieldToEventLoop(signal);
+            lastYield = Date.now();
+        }
+    }
+    return { indices, distances };
+}
+
+/**
+ * Symmetric edge list from directed neighbour weights, combining the two
+ * directions of a pair with the given function (a missing direction weighs 0)
+ * @returns {{heads: Int32Array, tails: Int32Array, weights: Float64Array}} One entry per pair
+ */
+function symmetrize(n, neighbours, weights, k, combine) {
+    const pairs = new Map();
+    for (let i = 0; i < n; i++) {
+        for (let m = 0; m < k; m++) {
+            const j = neighbours[i * k + m];
+            const key = i < j ? i * n + j : j * n + i;
+            const entry = pairs.get(key);
+            if (entry) {
+                entry.push(weights[i * k + m]);
+            } else {
+                pairs.set(key, [weights[i * k + m]]);
+            }
+        }
+    }
+    const heads = new Int32Array(pairs.size);
+    const tails = new Int32Array(pairs.size);
+    const combined = new Float64Array(pairs.size);
+    let e = 0;
+    for (const [key, values] of pairs) {
+        heads[e] = Math.floor(key / n);
+        tails[e] = key % n;
+        combined[e] = combine(values[0], values.length > 1 ? values[1] : 0);
+        e++;
+    }
+    return { heads, tails, weights: combined };
+}
+
+// Starting configuration: seeded random, or classical MDS rescaled to the given spread
+function initialConfiguration(matrix, dimensions, init, random, makeRandom, spread) {
+    if (init !== 'classical' && init !== 'random') {
+        throw new Error(`Unknown embedding initialisation "${init}"`);
+    }
+    const n = matrix.size;
+    if (init === 'classical') {
+        const coords = Float64Array.from(classicalMDS(matrix, dimensions).flat());
+        const largest = coords.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+        // Identical distances give a classical configuration of one point
+        if (largest > 0) {
+            return coords.map(x => x * spread / largest);
+        }
+    }
+    return Float64Array.from({ length: dimensions * n }, () => makeRandom(random));
+}
+
+function checkEmbeddingDimensions(dimensions) {
+    if (!(Number.isInteger(dimensions) && dimensions >= 1)) {
+        throw new Error(`Embedding needs a positive whole number of dimensions, not ${dimensions}`);
+    }
+}
+
+function toCoordinates(Y, n, dimensions) {
+    return Array(n).fill(null).map((_, i) => Array.from(Y.subarray(dimensions * i, dimensions * (i + 1))));
+}
+
+/**
+ * t-SNE (van der Maaten & Hinton 2008) of a distance matrix. Each tree's
+ * neighbourhood is a Gaussian over its 3 x perplexity nearest trees, with
+ * the width chosen so that its perplexity (effective number of neighbours)
+ * is the one asked for; the embedding places trees so that a heavy-tailed
+ * Student-t neighbourhood in the plot matches it. Close trees stay close and
+ * separate islands of tree space stay separate, but distances between
+ * islands and the size of islands carry little meaning.
+ *
+ * The attraction uses only the neighbour pairs; the repulsion is computed
+ * exactly over all pairs, so each iteration takes O(n^2) time. The first
+ * 250 iterations exaggerate the attraction 12-fold. The step size defaults
+ * to max(200, n / 12) (Belkina et al. 2019).
+ *
+ * @param {DistanceMatrix|Array<Array<number>>} distances - Distance matrix
+ * @param {Object} options
+ * @param {number} options.perplexity - Effective number of neighbours (default 30,
+ *   reduced to (n - 1) / 3 for small n)
+ * @param {number} options.dimensions - Number of output dimensions (default 2)
+ * @param {number} options.iterations - Gradient descent iterations (default 1000)
+ * @param {number} options.learningRate - Step size (default max(200, n / 12))
+ * @param {string} options.init - 'random' (default) or 'classical' starting configuration
+ * @param {number} options.seed - Seed of the random start (default random)
+ * @param {AbortSignal} options.signal - Stops with a CancelledError at the next yield to the UI
+ * @param {Function} options.progressCallback - Called as (iteration, iterations, klDivergence)
+ * @returns {Promise<{coords: Array<Array<number>>, klDivergence: number, perplexity: number, seed: number}>}
+ *   Coordinates, the Kullback-Leibler divergence of the final embedding, the perplexity used and the seed
+ */
+export async function tsne(distances, options = {}) {
+    const matrix = toDistanceMatrix(distances);
+    const n = matrix.size;
+    const {
+        perplexity: requested = 30,
+        dimensions = 2,
+        iterations = 1000,
+        init = 'random',
+        seed = randomSeed(),
+        signal = null,
+        progressCallback = null
+    } = options;
+    const learningRate = options.learningRate || Math.max(200, n / 12);
+    if (!(requested > 0)) {
+        throw new Error('t-SNE perplexity must be positive');
+    }
+    checkEmbeddingDimensions(dimensions);
+    if (n < 2) {
+        return { coords: Array(n).fill(null).map(() => new Array(dimensions).fill(0)), klDivergence: 0, perplexity: 0, seed };
+    }
+
+    const perplexity = Math.max(1, Math.min(requested, (n - 1) / 3));
+    const k = Math.min(n - 1, Math.floor(3 * perplexity));
+    const { indices, distances: neighbourDistances } = await nearestNeighbours(matrix, k, signal);
+    const conditional = conditionalProbabilities(neighbourDistances, n, k, perplexity);
+    // Joint probabilities p_ij = (p_j|i + p_i|j) / 2n, stored once per pair
+    const { heads, tails, weights: P } = symmetrize(n, indices, conditional, k, (a, b) => (a + b) / (2 * n));
+    let entropy = 0;
+    for (const p of P) {
+        entropy += p > 0 ? 2 * p * Math.log(p) : 0;
+    }
+
+    const random = seededRandom(seed);
+    const Y = initialConfiguration(matrix, dimensions, init, random, r => 1e-4 * gaussian(r), 1e-4);
+    const update = new Float64Array(Y.length);
+    const gains = new Float64Array(Y.length).fill(1);
+    const attraction = new Float64Array(Y.length);
+    const repulsion = new Float64Array(Y.length);
+    const diff = new Float64Array(dimensions);
+    let klDivergence = 0;
+    let lastYield = Date.now();
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+        const early = iteration <= EXAGGERATION_ITERATIONS;
+        const exaggeration = early ? EXAGGERATION : 1;
+        const momentum = early ? 0.5 : 0.8;
+
+        // Repulsion over all pairs, and the normalisation Z of the Student-t kernel
+        repulsion.fill(0);
+        let Z = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                let squared = 0;
+                for (let d = 0; d < dimensions; d++) {
+                    diff[d] = Y[dimensions * i + d] - Y[dimensions * j + d];
+                    squared += diff[d] * diff[d];
+                }
+                const w = 1 / (1 + squared);
+                Z += 2 * w;
+                for (let d = 0; d < dimensions; d++) {
+                    repulsion[dimensions * i + d] += w * w * diff[d];
+                    repulsion[dimensions * j + d] -= w * w * diff[d];
+                }
+            }
+        }
+
+        // Attraction along the neighbour pairs, and KL(P || Q) = sum p log p - sum p log(w / Z)
+        attraction.fill(0);
+        let crossEntropy = 0;
+        for (let e = 0; e < P.length; e++) {
+            const i = heads[e];
+            const j = tails[e];
+            let squared = 0;
+            for (let d = 0; d < dimensions; d++) {
+                diff[d] = Y[dimensions * i + d] - Y[dimensions * j + d];
+                squared += diff[d] * diff[d];
+            }
+            const w = 1 / (1 + squared);
+            crossEntropy -= 2 * P[e] * Math.log(w / Z);
+            for (let d = 0; d < dimensions; d++) {
+                attraction[dimensions * i + d] += P[e] * w * diff[d];
+                attraction[dimensions * j + d] -= P[e] * w * diff[d];
+            }
+        }
+        klDivergence = entropy + crossEntropy;
+
+        // Gradient step with momentum and per-coordinate gains (delta-bar-delta)
+        for (let c = 0; c < Y.length; c++) {
+            const gradient = 4 * (exaggeration * attraction[c] - repulsion[c] / Z);
+            gains[c] = Math.sign(gradient) !== Math.sign(update[c]) ? gains[c] + 0.2 : Math.max(0.01, gains[c] * 0.8);
+            update[c] = momentum * update[c] - learningRate * gains[c] * gradient;
+            Y[c] += update[c];
+        }
+        centre(Y, n, dimensions);
+
+        if (Date.now() - lastYield >= YIELD_INTERVAL) {
+            if (progressCallback) {
+                progressCallback(iteration, iterations, klDivergence);
+            }
+            await yieldToEventLoop(signal);
+            lastYield = Date.now();
+        }
+    }
+    if (progressCallback) {
+        progressCallback(iterations, iterations, klDivergence);
+    }
+
+    return { coords: toCoordinates(Y, n, dimensions), klDivergence, perplexity, seed };
+}
+
+/**
+ * Conditional probabilities p_j|i of a Gaussian over each tree's neighbours,
+ * by bisection on its precision until the perplexity, exp(entropy), matches
+ */
+function conditionalProbabilities(neighbourDistances, n, k, perplexity) {
+    const target = Math.log(perplexity);
+    const P = new Float64Array(n * k);
+    for (let i = 0; i < n; i++) {
+        const base = i * k;
+        // Squared distances relative to the nearest, which keeps the largest term at 1
+        const nearest = neighbourDistances[base] * neighbourDistances[base];
+        let beta = 1;
+        let low = 0;
+        let high = Infinity;
+        for (let step = 0; step < 100; step++) {
+            let sum = 0;
+            let weighted = 0;
+            for (let m = 0; m < k; m++) {
+                const d = neighbourDistances[base + m];
+                const excess = d * d - nearest;
+                const p = Math.exp(-beta * excess);
+                P[base + m] = p;
+                sum += p;
+                weighted += excess * p;
+            }
+            const entropy = Math.log(sum) + beta * weighted / sum;
+            for (let m = 0; m < k; m++) {
+                P[base + m] /= sum;
+            }
+            if (Math.abs(entropy - target) < 1e-5) {
+                break;
+            }
+            if (entropy > target) {
+                low = beta;
+                beta = high === Infinity ? 2 * beta : (beta + high) / 2;
+            } else {
+                high = beta;
+                beta = (beta + low) / 2;
+            }
+        }
+    }
+    return P;
+}
+
+function centre(Y, n, dimensions) {
+    for (let d = 0; d < dimensions; d++) {
+        let mean = 0;
+        for (let i = 0; i < n; i++) {
+            mean += Y[dimensions * i + d];
+        }
+        mean /= n;
+        for (let i = 0; i < n; i++) {
+            Y[dimensions * i + d] -= mean;
+        }
+    }
+}
+
+/**
+ * UMAP (McInnes et al. 2018) of a distance matrix. Each tree is joined to its
+ * nearest trees by a fuzzy graph whose edge weights fall off from the
+ * nearest neighbour's distance at a rate fitted to the local density; the two
+ * directions of an edge combine as a fuzzy union. The layout is optimised by
+ * stochastic gradient descent on the cross-entropy between that graph and
+ * the curve 1 / (1 + a x^2b) of plot distances, sampling each edge in
+ * proportion to its weight and pushing a few random trees away per sample.
+ * minDist sets how tightly trees may pack within an island.
+ *
+ * Finding the neighbours takes one O(n^2) pass over the matrix; each epoch
+ * then takes time proportional to n x neighbours.
+ *
+ * @param {DistanceMatrix|Array<Array<number>>} distances - Distance matrix
+ * @param {Object} options
+ * @param {number} options.neighbours - Nearest trees each tree is joined to (default 15, at most n - 1)
+ * @param {number} options.minDist - Smallest distance between points in the plot (default 0.1)
+ * @param {number} options.spread - Scale of the plot distances (default 1)
+ * @param {number} options.dimensions - Number of output dimensions (default 2)
+ * @param {number} options.epochs - Optimisation epochs (default 500, or 200 above 10,000 trees)
+ * @param {number} options.negativeSampleRate - Random trees pushed away per edge sample (default 5)
+ * @param {number} options.learningRate - Initial step size (default 1)
+ * @param {string} options.init - 'random' (default) or 'classical' starting configuration
+ * @param {number} options.seed - Seed of the random start and the sampling (default random)
+ * @param {AbortSignal} options.signal - Stops with a CancelledError at the next yield to the UI
+ * @param {Function} options.progressCallback - Called as (epoch, epochs)
+ * @returns {Promise<{coords: Array<Array<number>>, neighbours: number, a: number, b: number, seed: number}>}
+ *   Coordinates, the number of neighbours used, the fitted curve parameters and the seed
+ */
+export async function umap(distances, options = {}) {
+    const matrix = toDistanceMatrix(distances);
+    const n = matrix.size;
+    const {
+        neighbours: requested = 15,
+        minDist = 0.1,
+        spread = 1,
+        dimensions = 2,
+        epochs = n > 10000 ? 200 : 500,
+        negativeSampleRate = 5,
+        learningRate = 1,
+        init = 'random',
+        seed = randomSeed(),
+        signal = null,
+        progressCallback = null
+    } = options;
+    if (!(requested >= 1)) {
+        throw new Error('UMAP needs at least one neighbour');
+    }
+    if (!(minDist >= 0 && spread > 0 && minDist <= spread)) {
+        throw new Error('UMAP needs a positive spread and a minimum distance between 0 and the spread');
+    }
+    checkEmbeddingDimensions(dimensions);
+    if (n < 2) {
+        return { coords: Array(n).fill(null).map(() => new Array(dimensions).fill(0)), neighbours: 0, a: 0, b: 0, seed };
+    }
+
+    const k = Math.min(Math.floor(requested), n - 1);
+    const { indices, distances: neighbourDistances } = await nearestNeighbours(matrix, k, signal);
+    const memberships = fuzzyMemberships(neighbourDistances, n, k, matrix);
+    const graph = symmetrize(n, indices, memberships, k, (a, b) => a + b - a * b);
+    const { a, b } = fitCurve(spread, minDist);
+
+    // Edges are sampled every maxWeight / weight epochs; ones that would never be sampled are dropped
+    const maxWeight = graph.weights.reduce((max, w) => Math.max(max, w), 0);
+    const edges = [];
+    graph.weights.forEach((w, e) => {
+        if (w * epochs >= maxWeight) {
+            // Both directions, so that each end gets its share of negative samples
+            edges.push([graph.heads[e], graph.tails[e], maxWeight / w], [graph.tails[e], graph.heads[e], maxWeight / w]);
+        }
+    });
+    const epochsPerSample = Float64Array.from(edges, edge => edge[2]);
+    const nextSample = Float64Array.from(epochsPerSample);
+    const epochsPerNegative = epochsPerSample.map(x => x / negativeSampleRate);
+    const nextNegative = Float64Array.from(epochsPerNegative);
+
+    const random = seededRandom(seed);
+    const Y = initialConfiguration(matrix, dimensions, init, random, r => 20 * r() - 10, 10);
+    const clip = x => Math.max(-4, Math.min(4, x));
+    let lastYield = Date.now();
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        const alpha = learningRate * (1 - epoch / epochs);
+        for (let e = 0; e < edges.length; e++) {
+            if (nextSample[e] > epoch) {
+                continue;
+            }
+            const i = edges[e][0];
+            const j = edges[e][1];
+
+            // Attraction along the edge, moving both ends
+            let squared = 0;
+            for (let d = 0; d < dimensions; d++) {
+                const diff = Y[dimensions * i + d] - Y[dimensions * j + d];
+                squared += diff * diff;
+            }
+            const attract = squared > 0 ? -2 * a * b * Math.pow(squared, b - 1) / (a * Math.pow(squared, b) + 1) : 0;
+            for (let d = 0; d < dimensions; d++) {
+                const step = clip(attract * (Y[dimensions * i + d] - Y[dimensions * j + d])) * alpha;
+                Y[dimensions * i + d] += step;
+                Y[dimensions * j + d] -= step;
+            }
+            nextSample[e] += epochsPerSample[e];
+
+            // Repulsion from random trees, moving only this end
+            const negatives = Math.floor((epoch - nextNegative[e]) / epochsPerNegative[e]);
+            for (let s = 0; s < negatives; s++) {
+                const other = Math.floor(random() * n);
+                if (other === i) {
+                    continue;
+                }
+                squared = 0;
+                for (let d = 0; d < dimensions; d++) {
+                    const diff = Y[dimensions * i + d] - Y[dimensions * other + d];
+                    squared += diff * diff;
+                }
+                const repel = squared > 0 ? 2 * b / ((0.001 + squared) * (a * Math.pow(squared, b) + 1)) : 0;
+                for (let d = 0; d < dimensions; d++) {
+                    const step = repel > 0 ? clip(repel * (Y[dimensions * i + d] - Y[dimensions * other + d])) : 4;
+                    Y[dimensions * i + d] += step * alpha;
+                }
+            }
+            nextNegative[e] += Math.max(0, negatives) * epochsPerNegative[e];
+        }
+
+        if (Date.now() - lastYield >= YIELD_INTERVAL) {
+            if (progressCallback) {
+                progressCallback(epoch + 1, epochs);
+            }
+            await yieldToEventLoop(signal);
+            lastYield = Date.now();
+        }
+    }
+    if (progressCallback) {
+        progressCallback(epochs, epochs);
+    }
+
+    return { coords: toCoordinates(Y, n, dimensions), neighbours: k, a, b, seed };
+}
+
+/**
+ * Fuzzy membership of each tree's neighbours, exp(-(d - rho) / sigma), where
+ * rho is the distance to the nearest tree at a positive distance and sigma is
+ * chosen by bisection so that the memberships sum to log2(k)
+ */
+function fuzzyMemberships(neighbourDistances, n, k, matrix) {
+    const target = Math.log2(k);
+    const memberships = new Float64Array(n * k);
+    let meanDistance = 0;
+    for (const d of matrix.values) {
+        meanDistance += d;
+    }
+    meanDistance /= Math.max(1, matrix.values.length);
+
+    for (let i = 0; i < n; i++) {
+        const base = i * k;
+        let rho = 0;
+        let mean = 0;
+        for (let m = 0; m < k; m++) {
+            const d = neighbourDistances[base + m];
+            if (rho === 0 && d > 0) {
+                rho = d;
+            }
+            mean += d / k;
+        }
+
+        let sigma = 1;
+        let low = 0;
+        let high = Infinity;
+        for (let step = 0; step < 64; step++) {
+            let sum = 0;
+            for (let m = 0; m < k; m++) {
+                const excess = neighbourDistances[base + m] - rho;
+                sum += excess > 0 ? Math.exp(-excess / sigma) : 1;
+            }
+            if (Math.abs(sum - target) < 1e-5) {
+                break;
+            }
+            if (sum > target) {
+                high = sigma;
+                sigma = (low + high) / 2;
+            } else {
+                low = sigma;
+                sigma = high === Infinity ? 2 * sigma : (low + high) / 2;
+            }
+        }
+        sigma = Math.max(sigma, MIN_KERNEL_SCALE * (rho > 0 ? mean : meanDistance));
+
+        for (let m = 0; m < k; m++) {
+            const excess = neighbourDistances[base + m] - rho;
+            memberships[base + m] = excess > 0 ? Math.exp(-excess / sigma) : 1;
+        }
+    }
+    return memberships;
+}
+
+/**
+ * Parameters a and b of the plot-distance curve 1 / (1 + a x^2b), fitted by
+ * Levenberg-Marquardt least squares to 1 up to minDist and
+ * exp(-(x - minDist) / spread) beyond it, on 300 points up to 3 x spread
+ * @returns {{a: number, b: number}}
+ */
+export function fitCurve(spread, minDist) {
+    const xs = Array.from({ length: 300 }, (_, i) => 3 * spread * i / 299);
+    const ys = xs.map(x => x < minDist ? 1 : Math.exp(-(x - minDist) / spread));
+    const residuals = (a, b) => xs.map((x, i) => ys[i] - 1 / (1 + a * Math.pow(x, 2 * b)));
+    const sumOfSquares = r => r.reduce((sum, v) => sum + v * v, 0);
+
+    let a = 1;
+    let b = 1;
+    let r = residuals(a, b);
+    let error = sumOfSquares(r);
+    let damping = 1e-3;
+    for (let step = 0; step < 200; step++) {
+        // Normal equations of the Jacobian of the curve with respect to a and b
+        let aa = 0;
+        let ab = 0;
+        let bb = 0;
+        let ga = 0;
+        let gb = 0;
+        xs.forEach((x, i) => {
+            if (x === 0) {
+                return;
+            }
+            const u = Math.pow(x, 2 * b);
+            const denominator = (1 + a * u) * (1 + a * u);
+            const da = -u / denominator;
+            const db = -2 * a * u * Math.log(x) / denominator;
+            aa += da * da;
+            ab += da * db;
+            bb += db * db;
+            ga += da * r[i];
+            gb += db * r[i];
+        });
+        const m11 = aa * (1 + damping);
+        const m22 = bb * (1 + damping);
+        const det = m11 * m22 - ab * ab;
+        const stepA = (m22 * ga - ab * gb) / det;
+        const stepB = (m11 * gb - ab * ga) / det;
+        const nextA = a + stepA;
+        const nextB = b + stepB;
+        const nextR = nextA > 0 && nextB > 0 ? residuals(nextA, nextB) : null;
+        const nextError = nextR ? sumOfSquares(nextR) : Infinity;
+        if (nextError < error) {
+            const improvement = error - nextError;
+            a = nextA;
+            b = nextB;
+            r = nextR;
+            error = nextError;
+            damping /= 10;
+            if (improvement < 1e-12 * Math.max(1, error)) {
+                break;
+            }
+        } else {
+            damping *= 10;
+            if (damping > 1e12) {
+                break;
+            }
+        }
+    }
+    return { a, b };
+}
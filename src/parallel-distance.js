@@ -0,0 +1,154 @@
+// parallel-distance.js - Distance matrix computed by a pool of Web Workers
+import { calculateDistanceMatrixWithProgress, isBuiltInMetric } from './distance-metrics';
+import { serializeTree } from './tree-serialization';
+import { CancelledError, throwIfCancelled } from './cancellation';
+import { DistanceMatrix } from './distance-matrix';
+
+// Blocks per worker, so that workers finishing early can take more of the work
+const BLOCKS_PER_WORKER = 16;
+
+/**
+ * Split the rows of the upper triangle into consecutive ranges holding
+ * roughly the same number of pairs
+ * @returns {Array<{rowStart: number, rowEnd: number}>} Row ranges
+ */
+function splitIntoBlocks(n, numBlocks) {
+    const totalPairs = n * (n - 1) / 2;
+    const target = Math.max(1, Math.ceil(totalPairs / numBlocks));
+    const blocks = [];
+    let rowStart = 0;
+    let pairs = 0;
+    for (let i = 0; i < n - 1; i++) {
+        pairs += n - 1 - i;
+        if (pairs >= target || i === n - 2) {
+            blocks.push({ rowStart, rowEnd: i + 1 });
+            rowStart = i + 1;
+            pairs = 0;
+        }
+    }
+    return blocks;
+}
+
+function defaultWorkerCount() {
+    return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+}
+
+/**
+ * Calculate a distance matrix in a pool of Web Workers. The upper triangle is
+ * cut into blocks of rows, handed to whichever worker is idle; each worker
+ * receives the trees once, as typed arrays (see serializeTree), and reports
+ * the pairs it has finished as it goes.
+ *
+ * Without Web Workers, or for metrics registered after loading (which workers
+ * do not know), the matrix is computed on the calling thread instead.
+ *
+ * @param {Array<Tree>} trees - Trees to compare
+ * @param {string} metric - Registered metric name
+ * @param {Function} progressCallback - Called as (pairsDone, totalPairs)
+ * @param {Object} options - Options of calculateDistanceMatrix; the callbacks stay on
+ *   the calling thread and the rest must be cloneable
+ * @param {number} options.workers - Number of workers (default navigator.hardwareConcurrency)
+ * @param {AbortSignal} options.signal - Terminates the workers and rejects with a CancelledError
+ * @returns {Promise<DistanceMatrix>} The distance matrix
+ */
+export async function calculateDistanceMatrixParallel(trees, metric, progressCallback, options = {}) {
+    const n = trees.length;
+    const totalPairs = n * (n - 1) / 2;
+    throwIfCancelled(options.signal);
+
+    if (typeof Worker === 'undefined' || !isBuiltInMetric(metric)) {
+        let pairsDone = 0;
+        return calculateDistanceMatrixWithProgress(trees, metric, () => {
+            if (progressCallback) {
+                progressCallback(++pairsDone, totalPairs);
+            }
+        }, options);
+    }
+
+    const { onBoundedDistance, signal, workers: requestedWorkers, ...workerOptions } = options;
+    const numWorkers = Math.max(1, requestedWorkers || defaultWorkerCount());
+    const blocks = splitIntoBlocks(n, numWorkers * BLOCKS_PER_WORKER);
+    const serialized = trees.map(serializeTree);
+    const matrix = new DistanceMatrix(n);
+
+    return new Promise((resolve, reject) => {
+        const pool = [];
+        let nextBlock = 0;
+        let blocksDone = 0;
+        let pairsDone = 0;
+        let failed = false;
+
+        const stop = () => {
+            pool.forEach(worker => worker.terminate());
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+        };
+        const fail = (error) => {
+            if (!failed) {
+                failed = true;
+                stop();
+                reject(error);
+            }
+        };
+        const assign = (worker) => {
+            if (nextBlock < blocks.length) {
+                const { rowStart, rowEnd } = blocks[nextBlock];
+                worker.postMessage({ type: 'block', block: nextBlock, rowStart, rowEnd });
+                nextBlock++;
+            }
+        };
+        const store = ({ block, distances, bounded }) => {
+            // A block's rows are stored contiguously, in the order the worker computed them
+            matrix.values.set(distances, matrix.rowOffset(blocks[block].rowStart));
+            if (onBoundedDistance) {
+                for (const { i, j, ...result } of bounded) {
+                    onBoundedDistance(i, j, result);
+                }
+            }
+        };
+
+        const cancel = () => fail(new CancelledError());
+
+        if (blocks.length === 0) {
+            resolve(matrix);
+            return;
+        }
+        if (signal) {
+            signal.addEventListener('abort', cancel);
+        }
+
+        for (let w = 0; w < Math.min(numWorkers, blocks.length); w++) {
+            const worker = new Worker(new URL('./distance-worker.js', import.meta.url));
+            pool.push(worker);
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (failed) return;
+                if (message.type === 'error') {
+                    fail(new Error(message.message));
+                    return;
+                }
+                pairsDone += message.pairs;
+                if (progressCallback) {
+                    progressCallback(pairsDone, totalPairs);
+                }
+                if (message.type === 'result') {
+                    store(message);
+                    blocksDone++;
+                    if (blocksDone === blocks.length) {
+                        stop();
+                        resolve(matrix);
+                    } else {
+                        assign(worker);
+                    }
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fail(new Error(`Distance worker failed: ${event.message}`));
+            };
+            worker.postMessage({ type: 'init', trees: serialized, metric, options: workerOptions });
+            assign(worker);
+        }
+    });
+}
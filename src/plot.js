@@ -1,30 +1,52 @@
 import Plotly from 'plotly.js-dist';
+import { toDistanceMatrix } from './distance-matrix';
 
-export function plotMDS(coords, labels) {
+// Rows and columns shown in the distance matrix table; rendering every cell
+// of a matrix of thousands of trees would freeze the page
+const MAX_TABLE_TREES = 200;
+// Beyond this many points (e.g. landmark MDS of a whole posterior), labels are
+// left to the hover text and the points are drawn with WebGL
+const MAX_LABELLED_POINTS = 500;
+// Axes shown in the scree plot
+const SCREE_AXES = 20;
+
+/**
+ * Scatter plot of MDS coordinates: in 3D when they have three or more
+ * dimensions (the first three are shown), otherwise in 2D
+ * @param {Array<Array<number>>} coords - Coordinates of the trees
+ * @param {Array<string>} labels - Tree labels, shown on hover
+ * @param {string} method - Name of the embedding, for the title and axes (default 'MDS')
+ */
+export function plotMDS(coords, labels, method = 'MDS') {
+    if (coords.length > 0 && coords[0].length >= 3) {
+        plotMDS3D(coords, labels, method);
+        return;
+    }
+    const large = coords.length > MAX_LABELLED_POINTS;
     const trace = {
         x: coords.map(c => c[0]),
         y: coords.map(c => c[1]),
-        mode: 'markers+text',
-        type: 'scatter',
+        mode: large ? 'markers' : 'markers+text',
+        type: large ? 'scattergl' : 'scatter',
         text: labels,
         textposition: 'top center',
         marker: {
-            size: 12,
+            size: large ? 5 : 12,
             color: coords.map((_, i) => i),
             colorscale: 'Viridis',
             showscale: false
         },
-        hovertemplate: '<b>%{text}</b><br>MDS1: %{x:.3f}<br>MDS2: %{y:.3f}<extra></extra>'
+        hovertemplate: `<b>%{text}</b><br>${method}1: %{x:.3f}<br>${method}2: %{y:.3f}<extra></extra>`
     };
     
     const layout = {
-        title: 'MDS Plot of Phylogenetic Trees',
+        title: `${method} Plot of Phylogenetic Trees`,
         xaxis: { 
-            title: 'MDS Dimension 1',
+            title: `${method} Dimension 1`,
             tickformat: '.2f'  // Force numeric format
         },
         yaxis: { 
-            title: 'MDS Dimension 2',
+            title: `${method} Dimension 2`,
             tickformat: '.2f'  // Force numeric format
         },
         hovermode: 'closest',
@@ -49,20 +71,225 @@ export function plotMDS(coords, labels) {
     Plotly.newPlot('plot', [trace], layout, config);
 }
 
-export function displayDistanceMatrix(distances, treeLabels) {
+function plotMDS3D(coords, labels, method) {
+    const large = coords.length > MAX_LABELLED_POINTS;
+    const trace = {
+        x: coords.map(c => c[0]),
+        y: coords.map(c => c[1]),
+        z: coords.map(c => c[2]),
+        mode: large ? 'markers' : 'markers+text',
+        type: 'scatter3d',
+        text: labels,
+        textposition: 'top center',
+        marker: {
+            size: large ? 2 : 5,
+            color: coords.map((_, i) => i),
+            colorscale: 'Viridis',
+            showscale: false
+        },
+        hovertemplate: `<b>%{text}</b><br>${method}1: %{x:.3f}<br>${method}2: %{y:.3f}<br>${method}3: %{z:.3f}<extra></extra>`
+    };
+    
+    const layout = {
+        title: `${method} Plot of Phylogenetic Trees`,
+        scene: {
+            xaxis: { title: `${method} Dimension 1`, tickformat: '.2f' },
+            yaxis: { title: `${method} Dimension 2`, tickformat: '.2f' },
+            zaxis: { title: `${method} Dimension 3`, tickformat: '.2f' }
+        },
+        showlegend: false,
+        paper_bgcolor: 'white',
+        autosize: true,
+        margin: { l: 0, r: 0, t: 60, b: 0 }
+    };
+    
+    Plotly.newPlot('plot', [trace], layout, { responsive: true, displayModeBar: true, displaylogo: false });
+}
+
+/**
+ * Scree plot of the eigenvalues of classical MDS: the share of variance of
+ * each of the leading axes, with the plotted axes highlighted, and the
+ * cumulative share. A slow decline past the plotted axes means they hide
+ * structure. Negative eigenvalues are summarised in the title.
+ * @param {{eigenvalues: Array<number>, varianceProportions: Array<number>,
+ *   negative: {count: number, ratio: number}, estimated: boolean}} spectrum - Result of computeClassicalMDS
+ * @param {number} plottedAxes - Number of axes in the MDS plot
+ */
+export function plotScree(spectrum, plottedAxes) {
+    const screeDiv = document.getElementById('screePlot');
+    const shown = spectrum.varianceProportions.slice(0, SCREE_AXES);
+    const axes = shown.map((_, i) => i + 1);
+    let cumulative = 0;
+    const cumulativeShares = shown.map(share => (cumulative += share));
+    
+    const bars = {
+        x: axes,
+        y: shown.map(share => 100 * share),
+        customdata: spectrum.eigenvalues.slice(0, SCREE_AXES),
+        type: 'bar',
+        name: 'Axis',
+        marker: { color: axes.map(axis => axis <= plottedAxes ? '#1976d2' : '#90caf9') },
+        hovertemplate: 'Axis %{x}: %{y:.1f}% (eigenvalue %{customdata:.3g})<extra></extra>'
+    };
+    const line = {
+        x: axes,
+        y: cumulativeShares.map(share => 100 * share),
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: 'Cumulative',
+        hovertemplate: 'Axes 1–%{x}: %{y:.1f}%<extra></extra>'
+    };
+    
+    const { count, ratio } = spectrum.negative;
+    const about = spectrum.estimated ? '~' : '';
+    const title = count > 0 ?
+        `Scree plot (${about}${count} negative eigenvalues, ${about}${(100 * ratio).toFixed(1)}% of the spectrum)` :
+        'Scree plot (no negative eigenvalues: the distances are Euclidean)';
+    const layout = {
+        title,
+        xaxis: { title: 'MDS axis', dtick: 1 },
+        yaxis: { title: 'Variance (%)', rangemode: 'tozero' },
+        showlegend: false,
+        paper_bgcolor: 'white',
+        plot_bgcolor: 'white',
+        margin: { l: 60, r: 30, t: 60, b: 60 }
+    };
+    
+    screeDiv.classList.remove('hidden');
+    Plotly.newPlot(screeDiv, [bars, line], layout, { responsive: true, displaylogo: false });
+}
+
+export function hideScree() {
+    const screeDiv = document.getElementById('screePlot');
+    Plotly.purge(screeDiv);
+    screeDiv.classList.add('hidden');
+}
+
+/**
+ * Small multiples: side-by-side 2D embeddings of the same trees, e.g. by
+ * different metrics, already aligned onto the first. Hovering over a tree
+ * in one panel rings it in all of them. Points keep the colours of the MDS
+ * plot, so a tree has the same colour in every panel.
+ * @param {Array<{title: string, coords: Array<Array<number>>, disparity: number}>} panels - One
+ *   embedding per panel, with its Procrustes disparity from the first (null for the first)
+ * @param {Array<string>} labels - Tree labels, shown on hover
+ */
+export function plotSmallMultiples(panels, labels) {
+    const compareDiv = document.getElementById('comparePlot');
+    const large = labels.length > MAX_LABELLED_POINTS;
+    const axisSuffix = p => (p === 0 ? '' : String(p + 1));
+    
+    const points = panels.map((panel, p) => ({
+        x: panel.coords.map(c => c[0]),
+        y: panel.coords.map(c => c[1]),
+        xaxis: `x${axisSuffix(p)}`,
+        yaxis: `y${axisSuffix(p)}`,
+        mode: 'markers',
+        type: large ? 'scattergl' : 'scatter',
+        text: labels,
+        marker: {
+            size: large ? 4 : 8,
+            color: labels.map((_, i) => i),
+            colorscale: 'Viridis',
+            showscale: false
+        },
+        hovertemplate: `<b>%{text}</b> (${panel.title})<extra></extra>`
+    }));
+    // One highlight ring per panel, moved to the hovered tree
+    const highlights = panels.map((_, p) => ({
+        x: [],
+        y: [],
+        xaxis: `x${axisSuffix(p)}`,
+        yaxis: `y${axisSuffix(p)}`,
+        mode: 'markers+text',
+        type: 'scatter',
+        text: [],
+        textposition: 'top center',
+        marker: { size: 16, color: 'rgba(0, 0, 0, 0)', line: { color: '#d32f2f', width: 3 } },
+        hoverinfo: 'skip'
+    }));
+    
+    const layout = {
+        grid: { rows: 1, columns: panels.length, pattern: 'independent' },
+        annotations: panels.map((panel, p) => ({
+            text: panel.disparity === null ? `${panel.title} (reference)` :
+                `${panel.title} (Procrustes disparity ${panel.disparity.toFixed(3)})`,
+            xref: `x${axisSuffix(p)} domain`,
+            yref: `y${axisSuffix(p)} domain`,
+            x: 0.5,
+            y: 1.08,
+            showarrow: false
+        })),
+        hovermode: 'closest',
+        showlegend: false,
+        paper_bgcolor: 'white',
+        plot_bgcolor: 'white',
+        margin: { l: 40, r: 20, t: 50, b: 40 }
+    };
+    panels.forEach((_, p) => {
+        layout[`xaxis${axisSuffix(p)}`] = { tickformat: '.2f' };
+        // Equal scales, so that the aligned panels compare shape for shape
+        layout[`yaxis${axisSuffix(p)}`] = { tickformat: '.2f', scaleanchor: `x${axisSuffix(p)}` };
+    });
+    
+    compareDiv.classList.remove('hidden');
+    Plotly.newPlot(compareDiv, [...points, ...highlights], layout, { responsive: true, displaylogo: false });
+    
+    const highlightTraces = panels.map((_, p) => panels.length + p);
+    compareDiv.on('plotly_hover', event => {
+        const index = event.points[0].pointNumber;
+        Plotly.restyle(compareDiv, {
+            x: panels.map(panel => [panel.coords[index][0]]),
+            y: panels.map(panel => [panel.coords[index][1]]),
+            text: panels.map(() => [labels[index]])
+        }, highlightTraces);
+    });
+    compareDiv.on('plotly_unhover', () => {
+        Plotly.restyle(compareDiv, { x: panels.map(() => []), y: panels.map(() => []), text: panels.map(() => []) }, highlightTraces);
+    });
+}
+
+export function hideSmallMultiples() {
+    const compareDiv = document.getElementById('comparePlot');
+    Plotly.purge(compareDiv);
+    compareDiv.classList.add('hidden');
+}
+
+export function displayDistanceMatrix(distances, treeLabels, boundedPairs = []) {
     const matrixDiv = document.getElementById('distanceMatrix');
+    const matrix = toDistanceMatrix(distances);
+    const shown = Math.min(matrix.size, MAX_TABLE_TREES);
+    
+    // Pairs whose distance is only known to lie within bounds, keyed by "i,j"
+    const bounds = new Map();
+    for (const pair of boundedPairs) {
+        bounds.set(`${pair.i},${pair.j}`, pair);
+        bounds.set(`${pair.j},${pair.i}`, pair);
+    }
     
-    let html = '<table>';
+    let html = '';
+    if (shown < matrix.size) {
+        html += `<p>Showing the first ${shown} of ${matrix.size} trees.</p>`;
+    }
+    html += '<table>';
     html += '<tr><th></th>';
-    for (let i = 0; i < treeLabels.length; i++) {
+    for (let i = 0; i < shown; i++) {
         html += `<th>${treeLabels[i]}</th>`;
     }
     html += '</tr>';
     
-    for (let i = 0; i < distances.length; i++) {
+    for (let i = 0; i < shown; i++) {
         html += `<tr><th>${treeLabels[i]}</th>`;
-        for (let j = 0; j < distances[i].length; j++) {
-            const value = distances[i][j];
+        for (let j = 0; j < shown; j++) {
+            const value = matrix.get(i, j);
+            const bound = bounds.get(`${i},${j}`);
+            if (bound) {
+                // SPR/TBR bounds are integers; BHV bounds are not
+                const format = x => Number.isInteger(x) ? x : x.toFixed(2);
+                html += `<td class="bounded" title="Time limit reached: lower bound ${bound.lowerBound}, upper bound ${bound.upperBound}">` +
+                    `${format(bound.lowerBound)}–${format(bound.upperBound)}</td>`;
+                continue;
+            }
             // Ensure we're displaying numbers properly
             const displayValue = typeof value === 'number' ? value.toFixed(2) : value;
             html += `<td>${displayValue}</td>`;
@@ -0,0 +1,106 @@
+// procrustes.js - Orthogonal Procrustes alignment of one embedding onto another
+import numeric from 'numeric';
+
+/**
+ * Orthogonal Procrustes alignment (Gower 1975) of a configuration onto a
+ * reference configuration of the same points: the translation, rotation or
+ * reflection, and uniform scaling that bring it closest to the reference in
+ * total squared distance. MDS coordinates are only defined up to such a
+ * transformation, so embeddings of the same trees from different metrics,
+ * methods or runs can be compared once aligned.
+ *
+ * The disparity is that of scipy.spatial.procrustes: the residual sum of
+ * squares once both configurations are centred and scaled to a sum of
+ * squares of 1, and the one is aligned onto the other. It lies between 0
+ * (identical up to rotation, reflection and scale) and 1, whether or not
+ * options.scaling is used for the aligned coordinates.
+ *
+ * @param {Array<Array<number>>} reference - Reference coordinates, one array per point
+ * @param {Array<Array<number>>} coords - Coordinates to align, with the same points and dimensions
+ * @param {Object} options
+ * @param {boolean} options.scaling - Rescale the configuration as well (default true)
+ * @returns {{coords: Array<Array<number>>, disparity: number, transform: Object}} The aligned
+ *   coordinates, the disparity, and the transformation, for applyProcrustes
+ */
+export function procrustes(reference, coords, options = {}) {
+    const n = reference.length;
+    if (coords.length !== n) {
+        throw new Error(`Procrustes alignment needs the same points in both configurations, not ${n} and ${coords.length}`);
+    }
+    if (n === 0) {
+        return { coords: [], disparity: 0, transform: null };
+    }
+    const dimensions = reference[0].length;
+    if (coords[0].length !== dimensions) {
+        throw new Error(`Procrustes alignment needs configurations of the same dimension, not ${dimensions} and ${coords[0].length}`);
+    }
+    const scaling = options.scaling !== false;
+
+    const referenceCentre = centroid(reference);
+    const centre = centroid(coords);
+    const X = reference.map(point => point.map((x, d) => x - referenceCentre[d]));
+    const Y = coords.map(point => point.map((x, d) => x - centre[d]));
+    const referenceSquares = sumOfSquares(X);
+    const squares = sumOfSquares(Y);
+
+    // Y R is closest to X for R = U V' from the singular value decomposition Y'X = U S V'
+    const cross = numeric.dot(numeric.transpose(Y), X);
+    const { U, S, V } = numeric.svd(cross);
+    const rotation = numeric.dot(U, numeric.transpose(V));
+    const trace = S.reduce((sum, value) => sum + value, 0);
+
+    let disparity;
+    if (referenceSquares > 0 && squares > 0) {
+        disparity = Math.max(0, 1 - trace * trace / (referenceSquares * squares));
+    } else {
+        // A configuration of a single point matches only another
+        disparity = referenceSquares === squares ? 0 : 1;
+    }
+
+    const transform = {
+        rotation,
+        scale: scaling ? (squares > 0 ? trace / squares : 0) : 1,
+        centre,
+        referenceCentre
+    };
+    return { coords: applyProcrustes(transform, coords), disparity, transform };
+}
+
+/**
+ * Apply the transformation found by procrustes to coordinates, e.g. to
+ * points that were left out of the fit
+ * @param {{rotation: Array<Array<number>>, scale: number, centre: Array<number>,
+ *   referenceCentre: Array<number>}} transform - Transformation from procrustes
+ * @param {Array<Array<number>>} coords - Coordinates in the frame of the aligned configuration
+ * @returns {Array<Array<number>>} Coordinates in the frame of the reference
+ */
+export function applyProcrustes(transform, coords) {
+    const { rotation, scale, centre, referenceCentre } = transform;
+    return coords.map(point => referenceCentre.map((offset, d) => {
+        let value = 0;
+        for (let k = 0; k < point.length; k++) {
+            value += (point[k] - centre[k]) * rotation[k][d];
+        }
+        return offset + scale * value;
+    }));
+}
+
+function centroid(points) {
+    const centre = new Array(points[0].length).fill(0);
+    for (const point of points) {
+        point.forEach((x, d) => {
+            centre[d] += x / points.length;
+        });
+    }
+    return centre;
+}
+
+function sumOfSquares(points) {
+    let total = 0;
+    for (const point of points) {
+        for (const x of point) {
+            total += x * x;
+        }
+    }
+    return total;
+}
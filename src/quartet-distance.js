@@ -0,0 +1,218 @@
+// quartet-distance.js - Quartet distance between unrooted binary trees in O(n^2)
+
+// Per-tree node layout cache, keyed on the tree object
+const layoutCache = new WeakMap();
+
+/**
+ * Flatten a phylojs tree into post-order arrays: the children of each node,
+ * its clade size, and the taxon index of each leaf
+ * @param {Tree} tree - The tree to flatten
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @returns {{parent: Int32Array, children: Array<Array<number>>, cladeSize: Int32Array, taxon: Int32Array, root: number}}
+ */
+export function getTreeLayout(tree, taxonMapping) {
+    const cached = layoutCache.get(tree);
+    if (cached && cached.taxonMapping === taxonMapping) {
+        return cached;
+    }
+
+    const nodes = [];
+    const children = [];
+    const visit = (node) => {
+        const childIds = node.children.map(visit);
+        const id = nodes.length;
+        nodes.push(node);
+        children.push(childIds);
+        return id;
+    };
+    const root = visit(tree.root);
+
+    const count = nodes.length;
+    const parent = new Int32Array(count).fill(-1);
+    const cladeSize = new Int32Array(count);
+    const taxon = new Int32Array(count).fill(-1);
+
+    for (let id = 0; id < count; id++) {
+        if (children[id].length === 0) {
+            const node = nodes[id];
+            const label = node.label || node.id.toString();
+            const index = taxonMapping.get(label);
+            if (index === undefined) {
+                throw new Error(`Taxon "${label}" not found in taxon mapping`);
+            }
+            taxon[id] = index;
+            cladeSize[id] = 1;
+        } else {
+            for (const child of children[id]) {
+                parent[child] = id;
+                cladeSize[id] += cladeSize[child];
+            }
+        }
+    }
+
+    const layout = { taxonMapping, parent, children, cladeSize, taxon, root };
+    layoutCache.set(tree, layout);
+    return layout;
+}
+
+/**
+ * Number of shared leaves between every clade of one tree and every clade of
+ * another, filled by dynamic programming over both post-orders in O(n^2)
+ * @returns {Int32Array} Row-major table indexed [node1 * count2 + node2]
+ */
+export function buildIntersectionTable(layout1, layout2) {
+    const count1 = layout1.cladeSize.length;
+    const count2 = layout2.cladeSize.length;
+    const table = new Int32Array(count1 * count2);
+
+    for (let x = 0; x < count1; x++) {
+        const row = x * count2;
+        const children1 = layout1.children[x];
+        if (children1.length > 0) {
+            for (let y = 0; y < count2; y++) {
+                let sum = 0;
+                for (const child of children1) {
+                    sum += table[child * count2 + y];
+                }
+                table[row + y] = sum;
+            }
+            continue;
+        }
+
+        for (let y = 0; y < count2; y++) {
+            const children2 = layout2.children[y];
+            if (children2.length === 0) {
+                table[row + y] = layout1.taxon[x] === layout2.taxon[y] ? 1 : 0;
+            } else {
+                let sum = 0;
+                for (const child of children2) {
+                    sum += table[row + child];
+                }
+                table[row + y] = sum;
+            }
+        }
+    }
+    return table;
+}
+
+/**
+ * The three subtrees around every internal node of the unrooted tree, packed
+ * three per node: the clade node of each subtree and whether the subtree is
+ * the complement of that clade (the part of the tree above the node).
+ * Degree-two nodes, such as a binary root, are not nodes of the unrooted tree and are skipped.
+ */
+function getUnrootedNodes(layout) {
+    if (layout.unrootedNodes) {
+        return layout.unrootedNodes;
+    }
+
+    const cladeNodes = [];
+    const complements = [];
+    for (let id = 0; id < layout.children.length; id++) {
+        const childIds = layout.children[id];
+        if (childIds.length === 0) continue;
+
+        const degree = childIds.length + (id !== layout.root ? 1 : 0);
+        if (degree < 3) continue;
+        if (degree !== 3) {
+            throw new Error('Quartet distance requires fully resolved (binary) trees');
+        }
+        for (const child of childIds) {
+            cladeNodes.push(child);
+            complements.push(0);
+        }
+        if (id !== layout.root) {
+            cladeNodes.push(id);
+            complements.push(1);
+        }
+    }
+
+    layout.unrootedNodes = {
+        count: cladeNodes.length / 3,
+        cladeNodes: Int32Array.from(cladeNodes),
+        complements: Uint8Array.from(complements)
+    };
+    return layout.unrootedNodes;
+}
+
+function choose2(k) {
+    return k * (k - 1) / 2;
+}
+
+/**
+ * Count the quartets resolved the same way in two unrooted binary trees.
+ *
+ * A resolved quartet ab|cd has exactly two "ends" in a binary tree: the node
+ * where a and b fall in different subtrees while c and d share the third,
+ * and the same node for cd. Summing, over every pair of internal nodes of the
+ * two trees, the ways of picking such a configuration consistently in both
+ * trees therefore counts every shared quartet exactly twice.
+ */
+function countSharedQuartets(layout1, layout2, numTaxa) {
+    const table = buildIntersectionTable(layout1, layout2);
+    const count2 = layout2.cladeSize.length;
+    const nodes1 = getUnrootedNodes(layout1);
+    const nodes2 = getUnrootedNodes(layout2);
+
+    const I = [new Float64Array(3), new Float64Array(3), new Float64Array(3)];
+    let doubled = 0;
+
+    for (let u = 0; u < nodes1.count; u++) {
+        for (let v = 0; v < nodes2.count; v++) {
+            // Size of the intersection of two subtrees, each possibly a clade complement
+            for (let i = 0; i < 3; i++) {
+                const node1 = nodes1.cladeNodes[3 * u + i];
+                const complement1 = nodes1.complements[3 * u + i];
+                const size1 = layout1.cladeSize[node1];
+                const row = node1 * count2;
+                for (let j = 0; j < 3; j++) {
+                    const node2 = nodes2.cladeNodes[3 * v + j];
+                    const shared = table[row + node2];
+                    if (nodes2.complements[3 * v + j]) {
+                        const size2 = layout2.cladeSize[node2];
+                        I[i][j] = complement1 ? numTaxa - size1 - size2 + shared : size1 - shared;
+                    } else {
+                        I[i][j] = complement1 ? layout2.cladeSize[node2] - shared : shared;
+                    }
+                }
+            }
+
+            // k, k2: the subtrees holding the pair that stays together
+            for (let k = 0; k < 3; k++) {
+                const i = (k + 1) % 3;
+                const j = (k + 2) % 3;
+                for (let k2 = 0; k2 < 3; k2++) {
+                    const together = choose2(I[k][k2]);
+                    if (together === 0) continue;
+                    const i2 = (k2 + 1) % 3;
+                    const j2 = (k2 + 2) % 3;
+                    doubled += together * (I[i][i2] * I[j][j2] + I[i][j2] * I[j][i2]);
+                }
+            }
+        }
+    }
+    return doubled / 2;
+}
+
+/**
+ * Quartet distance between two unrooted binary trees on the same taxa: the
+ * number of four-taxon subsets whose induced topologies differ. Runs in
+ * O(n^2) time, following the shared-butterfly counting of Bryant et al. (2000).
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @returns {{distance: number, normalized: number, totalQuartets: number}}
+ */
+export function computeQuartetDistance(tree1, tree2, taxonMapping) {
+    const numTaxa = taxonMapping.size;
+    const totalQuartets = numTaxa * (numTaxa - 1) * (numTaxa - 2) * (numTaxa - 3) / 24;
+    if (totalQuartets === 0) {
+        return { distance: 0, normalized: 0, totalQuartets };
+    }
+
+    const layout1 = getTreeLayout(tree1, taxonMapping);
+    const layout2 = getTreeLayout(tree2, taxonMapping);
+    const distance = totalQuartets - countSharedQuartets(layout1, layout2, numTaxa);
+
+    return { distance, normalized: distance / totalQuartets, totalQuartets };
+}
@@ -0,0 +1,258 @@
+// rnni-distance.js - Ranked NNI distance between time trees (FindPath), and its discrete-time variant
+
+// Slot representation of each tree, keyed on the tree object
+const slotCache = new WeakMap();
+
+/**
+ * The internal nodes of a binary tree in time order. Slot s (1 = nearest the
+ * leaves) holds at most one internal node. In a ranked tree the slots are the
+ * ranks 1..n-1; in a discrete coalescent tree (DCT) they are the integer time
+ * bins, and bins without a node are empty. Nodes are coded as leaf taxon
+ * indices 0..n-1 and n + s for the node in slot s.
+ * @returns {{numSlots: number, children: Int32Array, parent: Int32Array}}
+ *   The two children of slot s at 2s and 2s+1 (-1 if empty), and the parent of each code (-1 if none)
+ */
+function getSlotTree(tree, taxonMapping, binWidth) {
+    const cached = slotCache.get(tree);
+    if (cached && cached.taxonMapping === taxonMapping && cached.binWidth === binWidth) {
+        return cached.slots;
+    }
+
+    if (tree.root.height === undefined) {
+        tree.computeNodeHeights();
+    }
+
+    const numTaxa = taxonMapping.size;
+    // Internal nodes in post-order, with the codes of their children
+    const internal = [];
+    let maxLeafHeight = -Infinity;
+    const visit = (node) => {
+        if (node.children.length === 0) {
+            const label = node.label || node.id.toString();
+            const index = taxonMapping.get(label);
+            if (index === undefined) {
+                throw new Error(`Taxon "${label}" not found in taxon mapping`);
+            }
+            maxLeafHeight = Math.max(maxLeafHeight, heightOf(node));
+            return { leaf: index };
+        }
+        // Unary nodes carry no ranking information
+        if (node.children.length === 1) {
+            return visit(node.children[0]);
+        }
+        if (node.children.length !== 2) {
+            throw new Error('RNNI distance requires fully resolved (binary) trees');
+        }
+        const entry = { node, height: heightOf(node), order: 0, slot: 0, children: node.children.map(visit) };
+        entry.order = internal.length;
+        internal.push(entry);
+        return entry;
+    };
+    visit(tree.root);
+
+    if (binWidth === null) {
+        // Rank 1 for the node furthest from the root; a node sharing its height
+        // with its parent still ranks below it, as post-order lists it first
+        const byTime = internal.slice().sort((a, b) => b.height - a.height || a.order - b.order);
+        byTime.forEach((entry, index) => {
+            entry.slot = index + 1;
+        });
+    } else {
+        // Time bins of node ages above the most recent leaf
+        const used = new Set();
+        for (const entry of internal) {
+            entry.slot = Math.round((maxLeafHeight - entry.height) / binWidth);
+            if (entry.slot < 1 || used.has(entry.slot)) {
+                throw new Error('Discrete-time RNNI distance needs every internal node in a time bin of its own, ' +
+                    `above the leaves (bin width ${binWidth})`);
+            }
+            used.add(entry.slot);
+        }
+    }
+
+    const numSlots = internal.reduce((max, entry) => Math.max(max, entry.slot), 0);
+    const children = new Int32Array(2 * (numSlots + 1)).fill(-1);
+    const parent = new Int32Array(numTaxa + numSlots + 1).fill(-1);
+    const codeOf = (entry) => entry.leaf !== undefined ? entry.leaf : numTaxa + entry.slot;
+    for (const entry of internal) {
+        entry.children.forEach((child, k) => {
+            if (child.slot !== undefined && child.slot >= entry.slot) {
+                throw new Error('RNNI distance requires every node to be older than its children');
+            }
+            children[2 * entry.slot + k] = codeOf(child);
+            parent[codeOf(child)] = numTaxa + entry.slot;
+        });
+    }
+
+    const slots = { numSlots, children, parent };
+    slotCache.set(tree, { taxonMapping, binWidth, slots });
+    return slots;
+}
+
+function heightOf(node) {
+    if (node.height === undefined || Number.isNaN(node.height)) {
+        throw new Error('RNNI distance needs node heights: the trees must have branch lengths');
+    }
+    return node.height;
+}
+
+/**
+ * Length of the path FindPath (Collienne & Gavryushkin 2021) builds from one
+ * slot tree to another. For each slot i from the bottom, the node of the
+ * target tree in slot i is matched by moving the MRCA of its cluster in the
+ * current tree down one slot at a time: by a length move if the slot below is
+ * empty, an NNI move if the node below is its child, and a rank move
+ * (swapping the two slots) otherwise. An empty slot in the target is matched
+ * by moving the lowest empty slot at or above i down. Once slots 1..i-1
+ * agree, the target's children of slot i are leaves or lower slots shared by
+ * both trees, so their MRCA is found in the current tree by walking up.
+ */
+function findPathLength(start, target, numTaxa) {
+    const numSlots = target.numSlots;
+    const children = new Int32Array(2 * (numSlots + 1)).fill(-1);
+    children.set(start.children);
+    const parent = new Int32Array(numTaxa + numSlots + 1).fill(-1);
+    parent.set(start.parent);
+
+    const slotOf = code => code < numTaxa ? 0 : code - numTaxa;
+    const isEmpty = slot => children[2 * slot] === -1;
+    const replaceChild = (node, from, to) => {
+        const slot = slotOf(node);
+        if (children[2 * slot] === from) children[2 * slot] = to;
+        else children[2 * slot + 1] = to;
+    };
+
+    // Exchange the contents of slots low and low + 1, which are not parent and child
+    const swap = (low) => {
+        const a = numTaxa + low;
+        const b = a + 1;
+        for (let k = 0; k < 2; k++) {
+            const child = children[2 * low + k];
+            children[2 * low + k] = children[2 * low + 2 + k];
+            children[2 * low + 2 + k] = child;
+        }
+        for (let k = 0; k < 2; k++) {
+            if (children[2 * low + k] !== -1) parent[children[2 * low + k]] = a;
+            if (children[2 * low + 2 + k] !== -1) parent[children[2 * low + 2 + k]] = b;
+        }
+        const parentA = parent[a];
+        const parentB = parent[b];
+        if (parentA === parentB) {
+            // Siblings: the parent's child list holds both codes, which stay valid
+            return;
+        }
+        if (parentA !== -1) replaceChild(parentA, a, b);
+        if (parentB !== -1) replaceChild(parentB, b, a);
+        parent[a] = parentB;
+        parent[b] = parentA;
+    };
+
+    // NNI on the edge from slot high to its child in slot high - 1, moving the
+    // child of the lower node that contains x or y under it with the other child of the upper node
+    const nni = (high, x, y) => {
+        const upper = numTaxa + high;
+        const lower = upper - 1;
+        const sibling = children[2 * high] === lower ? children[2 * high + 1] : children[2 * high];
+        const climb = (code) => {
+            while (parent[code] !== lower && parent[code] !== upper) {
+                code = parent[code];
+            }
+            return parent[code] === lower ? code : -1;
+        };
+        let kept = climb(x);
+        if (kept === -1) {
+            kept = climb(y);
+        }
+        const moved = children[2 * (high - 1)] === kept ? children[2 * (high - 1) + 1] : children[2 * (high - 1)];
+        children[2 * (high - 1)] = kept;
+        children[2 * (high - 1) + 1] = sibling;
+        parent[sibling] = lower;
+        replaceChild(upper, sibling, moved);
+        parent[moved] = upper;
+    };
+
+    let moves = 0;
+    for (let i = 1; i < numSlots; i++) {
+        let r;
+        if (target.children[2 * i] === -1) {
+            r = i;
+            while (!isEmpty(r)) r++;
+            for (; r > i; r--, moves++) {
+                swap(r - 1);
+            }
+            continue;
+        }
+
+        const x = target.children[2 * i];
+        const y = target.children[2 * i + 1];
+        let a = x;
+        let b = y;
+        while (a !== b) {
+            if (slotOf(a) < slotOf(b)) a = parent[a];
+            else b = parent[b];
+        }
+        for (r = slotOf(a); r > i; r--, moves++) {
+            if (!isEmpty(r - 1) && parent[numTaxa + r - 1] === numTaxa + r) {
+                nni(r, x, y);
+            } else {
+                swap(r - 1);
+            }
+        }
+    }
+    return moves;
+}
+
+// Slot trees of both trees with the same number of slots; the lower root gets empty slots above it
+function padSlots(slots, numSlots) {
+    if (slots.numSlots === numSlots) {
+        return slots;
+    }
+    const children = new Int32Array(2 * (numSlots + 1)).fill(-1);
+    children.set(slots.children);
+    return { numSlots, children, parent: slots.parent };
+}
+
+/**
+ * Ranked nearest-neighbour-interchange (RNNI) distance between two ranked
+ * binary trees on the same taxa: the fewest NNI moves (on edges joining
+ * consecutively ranked nodes) and rank moves (swapping the ranks of two
+ * consecutively ranked nodes that are not parent and child) that turn one
+ * tree into the other. Computed exactly by FindPath in O(n^2) time.
+ *
+ * Internal nodes are ranked by their heights as parsed by phylojs: rank 1 is
+ * the node nearest the leaves, rank n-1 the root. Nodes of equal height are
+ * ranked in post-order. Leaf ages are ignored, so all leaves count as present.
+ *
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @returns {number} The RNNI distance
+ */
+export function computeRNNIDistance(tree1, tree2, taxonMapping) {
+    const slots1 = getSlotTree(tree1, taxonMapping, null);
+    const slots2 = getSlotTree(tree2, taxonMapping, null);
+    return findPathLength(slots1, slots2, taxonMapping.size);
+}
+
+/**
+ * Distance between discrete coalescent trees (DCT): RNNI extended with length
+ * moves, which shift a node by one time bin into an empty bin. Node ages above
+ * the most recent leaf are divided by binWidth and rounded, and every internal
+ * node needs a bin of its own. Trees whose roots are in different bins are
+ * compared as if the lower root had empty bins above it.
+ *
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @param {number} binWidth - Length of one time bin (default 1, for integer heights)
+ * @returns {number} The DCT distance
+ */
+export function computeDCTDistance(tree1, tree2, taxonMapping, binWidth = 1) {
+    if (!(binWidth > 0)) {
+        throw new Error('DCT time bin width must be positive');
+    }
+    const slots1 = getSlotTree(tree1, taxonMapping, binWidth);
+    const slots2 = getSlotTree(tree2, taxonMapping, binWidth);
+    const numSlots = Math.max(slots1.numSlots, slots2.numSlots);
+    return findPathLength(padSlots(slots1, numSlots), padSlots(slots2, numSlots), taxonMapping.size);
+}
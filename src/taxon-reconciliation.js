@@ -0,0 +1,105 @@
+// taxon-reconciliation.js - Detect and reconcile trees with differing taxon sets
+import * as phylo from 'phylojs';
+
+/**
+ * Compare the leaf sets of a list of trees
+ * @param {Array<Tree>} trees - Trees to compare
+ * @returns {{allTaxa: Array<string>, sharedTaxa: Array<string>, missing: Array<Array<string>>, consistent: boolean}}
+ *   Sorted union and intersection of the leaf sets; missing[i] lists the taxa of the union that tree i lacks
+ */
+export function compareTaxonSets(trees) {
+    const taxonSets = trees.map(tree => new Set(tree.getTipLabels()));
+    const union = new Set();
+    for (const taxa of taxonSets) {
+        for (const taxon of taxa) {
+            union.add(taxon);
+        }
+    }
+
+    const allTaxa = Array.from(union).sort();
+    const sharedTaxa = allTaxa.filter(taxon => taxonSets.every(taxa => taxa.has(taxon)));
+    const missing = taxonSets.map(taxa => allTaxa.filter(taxon => !taxa.has(taxon)));
+
+    return {
+        allTaxa,
+        sharedTaxa,
+        missing,
+        consistent: sharedTaxa.length === allTaxa.length
+    };
+}
+
+/**
+ * Restrict a tree to a set of taxa. Other leaves are removed, then internal
+ * nodes left with a single child are suppressed, adding their branch length
+ * to the child's. Returns a new tree; the original is left unchanged.
+ * @param {Tree} tree - Tree to prune
+ * @param {Set<string>} keep - Labels of the taxa to keep
+ * @returns {Tree} The pruned tree
+ */
+export function pruneTree(tree, keep) {
+    const prune = (node) => {
+        if (node.isLeaf()) {
+            const label = node.label || node.id.toString();
+            return keep.has(label) ? copyNode(node) : null;
+        }
+
+        const children = node.children.map(prune).filter(child => child !== null);
+        if (children.length === 0) {
+            return null;
+        }
+        if (children.length === 1) {
+            const [only] = children;
+            if (node.branchLength !== undefined || only.branchLength !== undefined) {
+                only.branchLength = (node.branchLength || 0) + (only.branchLength || 0);
+            }
+            return only;
+        }
+
+        const copy = copyNode(node);
+        children.forEach(child => copy.addChild(child));
+        return copy;
+    };
+
+    const root = prune(tree.root);
+    if (!root) {
+        throw new Error('Pruning would remove every taxon from the tree');
+    }
+    return new phylo.Tree(root);
+}
+
+// Copy a node without its children; heights are left to be recomputed
+function copyNode(node) {
+    const copy = new phylo.Node(node.id);
+    copy.branchLength = node.branchLength;
+    copy.label = node.label;
+    for (const key in node.annotation) {
+        copy.annotation[key] = node.annotation[key];
+    }
+    return copy;
+}
+
+/**
+ * Prune every tree to the taxa that all trees share
+ * @param {Array<Tree>} trees - Trees to reconcile
+ * @returns {{trees: Array<Tree>, sharedTaxa: Array<string>, dropped: Array<{tree: number, taxa: Array<string>}>}}
+ *   The pruned trees (unchanged trees are returned as they are), and the taxa removed from each tree that lost any
+ */
+export function pruneToSharedTaxa(trees) {
+    const { sharedTaxa, consistent } = compareTaxonSets(trees);
+    if (consistent) {
+        return { trees, sharedTaxa, dropped: [] };
+    }
+
+    const keep = new Set(sharedTaxa);
+    const dropped = [];
+    const pruned = trees.map((tree, index) => {
+        const taxa = tree.getTipLabels().filter(taxon => !keep.has(taxon)).sort();
+        if (taxa.length === 0) {
+            return tree;
+        }
+        dropped.push({ tree: index, taxa });
+        return pruneTree(tree, keep);
+    });
+
+    return { trees: pruned, sharedTaxa, dropped };
+}
@@ -1,4 +1,5 @@
 import * as phylo from 'phylojs';
+import { isCancelled, throwIfCancelled, yieldToEventLoop } from './cancellation';
 
 export function detectFormat(content) {
     if (content.trim().startsWith('(')) return 'newick';
@@ -95,7 +96,12 @@ export function readTrees(content, format) {
     }
 }
 
-export async function readTreesAsync(content, format, progressCallback) {
+/**
+ * Read trees, reporting progress and yielding to the UI between chunks of
+ * trees. Parsing itself cannot be interrupted; an aborted signal is honoured
+ * before and after it, and between chunks (throwing a CancelledError).
+ */
+export async function readTreesAsync(content, format, progressCallback, signal = null) {
     try {
         if (format === 'auto') {
             format = detectFormat(content);
@@ -116,6 +122,7 @@ export async function readTreesAsync(content, format, progressCallback) {
         
         // Give the UI a chance to update before starting the heavy parsing
         await new Promise(resolve => setTimeout(resolve, 10));
+        throwIfCancelled(signal);
         
         let trees;
         switch(format) {
@@ -179,11 +186,14 @@ export async function readTreesAsync(content, format, progressCallback) {
             }
             
             // Allow UI to update
-            await new Promise(resolve => setTimeout(resolve, 0));
+            await yieldToEventLoop(signal);
         }
         
         return trees;
     } catch (error) {
+        if (isCancelled(error)) {
+            throw error;
+        }
         throw new Error('Failed to parse trees: ' + error.message);
     }
 }
\ No newline at end of file
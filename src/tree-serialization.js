@@ -0,0 +1,75 @@
+// tree-serialization.js - Compact form of trees for sending to Web Workers
+import * as phylo from 'phylojs';
+
+/**
+ * Flatten a tree into typed arrays, nodes in preorder. phylojs trees are
+ * linked objects with parent pointers, which cannot be posted to a worker.
+ * Missing branch lengths and heights are stored as NaN; annotations are kept
+ * only for the nodes that have any.
+ * @param {Tree} tree - The tree
+ * @returns {{parents: Int32Array, ids: Int32Array, branchLengths: Float64Array, heights: Float64Array,
+ *   labels: Array<string|null>, annotations: Object}} Parent index (-1 for the root), node id,
+ *   branch length, height and label of each node, and annotations by node index
+ */
+export function serializeTree(tree) {
+    const nodes = [];
+    const parentIndex = [];
+    const stack = [[tree.root, -1]];
+    while (stack.length > 0) {
+        const [node, parent] = stack.pop();
+        const index = nodes.length;
+        nodes.push(node);
+        parentIndex.push(parent);
+        // Push in reverse so that children keep their order
+        for (let k = node.children.length - 1; k >= 0; k--) {
+            stack.push([node.children[k], index]);
+        }
+    }
+
+    const annotations = {};
+    nodes.forEach((node, index) => {
+        if (node.annotation && Object.keys(node.annotation).length > 0) {
+            annotations[index] = node.annotation;
+        }
+    });
+
+    return {
+        parents: Int32Array.from(parentIndex),
+        ids: Int32Array.from(nodes, node => node.id),
+        branchLengths: Float64Array.from(nodes, node => node.branchLength === undefined ? NaN : node.branchLength),
+        heights: Float64Array.from(nodes, node => node.height === undefined ? NaN : node.height),
+        labels: nodes.map(node => node.label === undefined ? null : node.label),
+        annotations
+    };
+}
+
+/**
+ * Rebuild a phylojs tree from serializeTree output
+ * @param {Object} data - Serialised tree
+ * @returns {Tree} The tree
+ */
+export function deserializeTree(data) {
+    const nodes = [];
+    for (let index = 0; index < data.parents.length; index++) {
+        const node = new phylo.Node(data.ids[index]);
+        const length = data.branchLengths[index];
+        if (!Number.isNaN(length)) {
+            node.branchLength = length;
+        }
+        if (!Number.isNaN(data.heights[index])) {
+            node.height = data.heights[index];
+        }
+        if (data.labels[index] !== null) {
+            node.label = data.labels[index];
+        }
+        if (data.annotations[index]) {
+            Object.assign(node.annotation, data.annotations[index]);
+        }
+        nodes.push(node);
+        if (data.parents[index] >= 0) {
+            nodes[data.parents[index]].addChild(node);
+        }
+    }
+    return new phylo.Tree(nodes[0]);
+}
+
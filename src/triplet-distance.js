@@ -0,0 +1,80 @@
+// triplet-distance.js - Rooted triplet distance between binary trees in O(n^2)
+import { getTreeLayout, buildIntersectionTable } from './quartet-distance';
+
+function getInternalNodes(layout) {
+    if (layout.internalNodes) {
+        return layout.internalNodes;
+    }
+
+    const internalNodes = [];
+    for (let id = 0; id < layout.children.length; id++) {
+        const childIds = layout.children[id];
+        // Unary nodes resolve nothing
+        if (childIds.length < 2) continue;
+        if (childIds.length !== 2) {
+            throw new Error('Triplet distance requires fully resolved (binary) trees');
+        }
+        internalNodes.push(id);
+    }
+
+    layout.internalNodes = Int32Array.from(internalNodes);
+    return layout.internalNodes;
+}
+
+/**
+ * Count the triplets resolved the same way in two rooted binary trees.
+ *
+ * A triplet ab|c is resolved at the node u = lca(a, b), with a and b in
+ * different children of u and c outside the clade of u. Each shared triplet
+ * is therefore counted exactly once, at the pair of nodes where it is
+ * resolved in each tree.
+ */
+function countSharedTriplets(layout1, layout2, numTaxa) {
+    const table = buildIntersectionTable(layout1, layout2);
+    const count2 = layout2.cladeSize.length;
+    const nodes1 = getInternalNodes(layout1);
+    const nodes2 = getInternalNodes(layout2);
+
+    let shared = 0;
+    for (const u of nodes1) {
+        const [left1, right1] = layout1.children[u];
+        const rowU = u * count2;
+        const rowLeft = left1 * count2;
+        const rowRight = right1 * count2;
+        const size1 = layout1.cladeSize[u];
+
+        for (const v of nodes2) {
+            const outside = numTaxa - size1 - layout2.cladeSize[v] + table[rowU + v];
+            if (outside === 0) continue;
+
+            const [left2, right2] = layout2.children[v];
+            const pairs = table[rowLeft + left2] * table[rowRight + right2] +
+                table[rowLeft + right2] * table[rowRight + left2];
+            shared += pairs * outside;
+        }
+    }
+    return shared;
+}
+
+/**
+ * Triplet distance between two rooted binary trees on the same taxa: the
+ * number of three-taxon subsets whose induced rooted topologies differ.
+ * Runs in O(n^2) time by counting shared triplets at every pair of internal nodes.
+ * @param {Tree} tree1 - First tree
+ * @param {Tree} tree2 - Second tree
+ * @param {Map<string, number>} taxonMapping - Taxon label to index
+ * @returns {{distance: number, normalized: number, totalTriplets: number}}
+ */
+export function computeTripletDistance(tree1, tree2, taxonMapping) {
+    const numTaxa = taxonMapping.size;
+    const totalTriplets = numTaxa * (numTaxa - 1) * (numTaxa - 2) / 6;
+    if (totalTriplets === 0) {
+        return { distance: 0, normalized: 0, totalTriplets };
+    }
+
+    const layout1 = getTreeLayout(tree1, taxonMapping);
+    const layout2 = getTreeLayout(tree2, taxonMapping);
+    const distance = totalTriplets - countSharedTriplets(layout1, layout2, numTaxa);
+
+    return { distance, normalized: distance / totalTriplets, totalTriplets };
+}